@@ -235,6 +235,9 @@
   
   /* -------------------------------------------------------------------------------------------
      Aggregate()
+     
+     Operations which 'more' option is true are buffered until the end of their transaction,
+     then aggregated as one coalesced change, see Pipelet.._batch().
   */
   function Aggregate( measures, dimensions, options ) {
     Set.call( this, options );
@@ -246,6 +249,13 @@
   } // Aggregate()
   
   Set.build( 'aggregate', Aggregate, {
+    _release: function() {
+      this.dimensions.dispose( { upstream: false } );
+      this.measures  .dispose( { upstream: false } );
+      
+      return Set.prototype._release.call( this );
+    }, // _release()
+    
     dimensions_changed: function( dimensions ) {
       // If this is the first time, duing initialization, measures is not defined yet
       var that = this, measures = this.measures;
@@ -313,12 +323,14 @@
     }, // aggregate()
     
     /* -------------------------------------------------------------------------------------------
-       clear()
+       clear( [ options ] )
     */
-    clear: function() {
+    clear: function( options ) {
+      if ( this._batch( 'clear', undefined, options ) ) return this;
+      
       this.aggregates = undefined;
       
-      return this.emit_clear();
+      return this.emit_clear( this._metadata( options ) );
     }, // clear()
     
     /* -------------------------------------------------------------------------------------------
@@ -331,7 +343,7 @@
     }, // fetch()
     
     /* -------------------------------------------------------------------------------------------
-       merge( aggregates, options )
+       merge( aggregates [, options ] )
        
        Merge new aggregates with current aggregates.
        
@@ -346,7 +358,7 @@
       var ml = measures.length;
       
       // ToDo: generate code for measures loop
-      this.merge = function( aggregates ) {
+      this.merge = function( aggregates, options ) {
         var a        = this.aggregates
           , groups   = a.groups
           , keys0    = a.keys
@@ -365,19 +377,26 @@
           ;
           
           if ( g0 ) {
-            if ( g1 ) {
-              if ( g1._count += g0._count ) {
-                for ( var j = -1; ++j < ml; ) {
-                  var m = measures[ j ].id;
-                  
-                  g1[ m ] += g0[ m ];
-                }
+            var position = groups.indexOf( g0 );
+            
+            if ( g1._count += g0._count ) {
+              for ( var j = -1; ++j < ml; ) {
+                var m = measures[ j ].id;
                 
-                updates.push( [ g0, g1 ] );
-              } else {
-                removed.push( g0 );
+                g1[ m ] += g0[ m ];
               }
+              
+              // Replace previous group by merged group
+              groups[ position ] = h0[ k1 ] = g1;
+              
+              updates.push( [ g0, g1 ] );
             } else {
+              // Last object of this group removed
+              groups.splice( position, 1 );
+              keys0 .splice( position, 1 );
+              
+              delete h0[ k1 ];
+              
               removed.push( g0 );
             }
           } else {
@@ -388,9 +407,9 @@
           }
         }
         
-        added  .length && this.emit_add   ( added   );
-        removed.length && this.emit_remove( removed );
-        updates.length && this.emit_update( updates );
+        added  .length && this.emit_add   ( added  , options );
+        removed.length && this.emit_remove( removed, options );
+        updates.length && this.emit_update( updates, options );
         
         return this;
       }; // merge()
@@ -401,24 +420,32 @@
     }, // build_merge()
     
     /* -------------------------------------------------------------------------------------------
-       add()
+       add( values [, options ] )
     */
-    add: function( values ) {
+    add: function( values, options ) {
+      if ( this._batch( 'add', values, options ) ) return this;
+      
       var a = this.aggregate( values );
       
-      if ( this.aggregates ) return this.merge( a );
+      options = this._metadata( options );
+      
+      if ( this.aggregates ) return this.merge( a, options );
       
       this.aggregates = a;
       
-      return this.emit_add( a );
+      return this.emit_add( a, options );
     }, // add()
     
     /* -------------------------------------------------------------------------------------------
-       remove( values )
+       remove( values [, options ] )
     */
-    remove: function( values ) {
+    remove: function( values, options ) {
+      if ( this._batch( 'remove', values, options ) ) return this;
+      
       var that = this;
       
+      options = this._metadata( options );
+      
       this.measures.fetch_all( function( measures ) {
         var a = that.aggregate( values )
           , keys = a.keys
@@ -438,64 +465,80 @@
           g._count = -g._count; 
         }
         
-        that.merge( a )
+        that.merge( a, options )
       } );
       
       return this;
     }, // remove()
     
     /* -------------------------------------------------------------------------------------------
-       update( updates )
+       update( updates [, options ] )
     */
-    update: function( updates ) {
-      var a0 = [], a1 = [];
+    update: function( updates, options ) {
+      if ( this._batch( 'update', updates, options ) ) return this;
       
-      // extract the previous and new values in two separate arrays
-      for ( var i = -1, l = updates.length; ++i < l; ) {
-        var u = updates[ i ];  
-        
-        a0.push( u[ 0 ] );
-        a1.push( u[ 1 ] );
-      }
-      
-      // Calculate aggregates for separate previous and new values
-      a0 = this.aggregate( a0 );
-      a1 = this.aggregate( a1 );
+      var that = this;
       
-      // Merge the previous and new values
-      var keys0 = a0.keys
-        , keys1 = a1.keys
-        , groups = a1.groups
-        , h0 = a0.hash
-        , h1 = a1.hash
-      ;
+      options = this._metadata( options );
       
-      for ( i = -1; ++i < l; ) {
-        var k0 = keys0[ i ]
-          , k1 = keys1[ i ]
-          , g0 = h0[ k0 ]
-          , g1 = h1[ k1 ]
+      this.measures.fetch_all( function( measures ) {
+        var a0 = [], a1 = [];
+        
+        // extract the previous and new values in two separate arrays
+        for ( var i = -1, l = updates.length; ++i < l; ) {
+          var u = updates[ i ];
+          
+          a0.push( u[ 0 ] );
+          a1.push( u[ 1 ] );
+        }
+        
+        // Calculate aggregates for separate previous and new values
+        a0 = that.aggregate( a0 );
+        a1 = that.aggregate( a1 );
+        
+        // Subtract previous values aggregates from new values aggregates
+        var keys0 = a0.keys
+          , keys1 = a1.keys
+          , groups = a1.groups
+          , h0 = a0.hash
+          , h1 = a1.hash
+          , ml = measures.length
         ;
         
-        if ( k0 === k1 ) {
-          for ( var j = -1, ml = measures.length; ++j < ml; ) {
-            var m = measures[ j ].id;
+        for ( i = -1, l = keys0.length; ++i < l; ) {
+          var k0 = keys0[ i ]
+            , g0 = h0[ k0 ]
+            , g1 = h1[ k0 ]
+            , j, m
+          ;
+          
+          if ( g1 ) {
+            for ( j = -1; ++j < ml; ) {
+              m = measures[ j ].id;
+              
+              g1[ m ] -= g0[ m ];
+            }
             
-            g1[ m ] -= g0[ m ];
-          }
-        } else {
-          for ( var j = -1, ml = measures.length; ++j < ml; ) {
-            var m = measures[ j ].id;
+            g1._count -= g0._count;
+          } else {
+            for ( j = -1; ++j < ml; ) {
+              m = measures[ j ].id;
+              
+              g0[ m ] = -g0[ m ];
+            }
             
-            g0[ m ] = -g0[ m ];
+            g0._count = -g0._count;
+            
+            groups.push( h1[ k0 ] = g0 );
+            keys1.push( k0 );
           }
-          groups.push( h1[ k0 ] = g0 );
-          keys1.push( k0 );
         }
-      }
+        
+        // Merge with previous aggregates
+        that.merge( a1, options );
+      } );
       
-      // Merge with previous aggregates
-      return this.merge( a1 );
+      return this;
     } // update()
   } ); // Aggregate instance methods
   
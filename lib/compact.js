@@ -0,0 +1,352 @@
+/*  compact.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs compact, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     compact( operations [, options ] )
+     
+     Compacts an operations log, discarding past versions of objects, using one of the two
+     strategies described in the Pipelet documentation:
+     
+     - 'selective': all operations on each selected object are combined into a single add of
+       its last value, or discarded if the last operation on the object is a remove.
+       Operations on objects that are not selected are kept unchanged.
+     
+     - 'full': operations are replaced by an add of the current state, followed by a remove
+       of the anti-state, i.e. removes that did not match any previous add. Removes followed
+       by an add of a different value with the same key are compacted into an update.
+     
+     Operations are records in the format of notify() transactions, i.e. with attributes
+     action and objects, or in the format of file persistence logs, i.e. with attributes name
+     and objects. All other attributes of a record, e.g. options, id or timestamp, are
+     considered the metadata of the operation. Compacted records use the same format as
+     operations.
+     
+     Parameters:
+       - operations: (Array of Objects) the log, in storage order, actions are 'add',
+                     'remove', 'update' and 'clear'
+       
+       - options: (Object) optional:
+         - mode         : (String) 'selective' (default) or 'full'
+         - key          : (Array of Strings) key of objects, default is [ 'id' ]
+         - keep_metadata: (Boolean) if true, compacted records keep the metadata of the last
+                          operation, on each object for selective compaction, in the log
+                          for full compaction. Default is false, discarding metadata.
+         - select       : (Function) for selective compaction, select( value ) returns true
+                          for the objects to compact, default selects all objects
+     
+     Returns the compacted Array of operations.
+     
+     Example:
+       compact( [
+         { action: 'add'   , objects: [ { id: 1, v: 1 }, { id: 2, v: 1 } ] },
+         { action: 'update', objects: [ [ { id: 1, v: 1 }, { id: 1, v: 2 } ] ] },
+         { action: 'remove', objects: [ { id: 2, v: 1 } ] }
+       ] )
+       
+       // -> [ { action: 'add', objects: [ { id: 1, v: 2 } ] } ]
+  */
+  function compact( operations, options ) {
+    options = options || {};
+    
+    var u
+      , full          = options.mode === 'full'
+      , keep_metadata = options.keep_metadata
+      , select        = ! full && options.select
+      , make_key      = key_function( options.key )
+      , first         = operations[ 0 ]
+      , action_name   = first && first.action === u && first.name !== u ? 'name' : 'action'
+      , state         = new Objects( make_key ) // current values
+      , anti_state    = new Objects( make_key ) // unmatched removes, for full compaction
+      , kept          = []                      // records of objects not selected
+      , last                                    // last operation in operations
+      , i, l, j, ol
+    ;
+    
+    if ( options.mode !== u && options.mode !== 'selective' && ! full ) throw new Error( "compact(), invalid mode: " + options.mode );
+    
+    for ( i = -1, l = operations.length; ++i < l; ) {
+      var o = last = operations[ i ], objects = o.objects, not_selected = [];
+      
+      switch( o[ action_name ] ) {
+        case 'clear':
+          state.clear( o );
+          
+          select && kept.push( o );
+        continue;
+        
+        case 'add':
+          for ( j = -1, ol = objects.length; ++j < ol; ) {
+            selected( objects[ j ] ) ? add( objects[ j ], o ) : not_selected.push( objects[ j ] );
+          }
+        break;
+        
+        case 'remove':
+          for ( j = -1, ol = objects.length; ++j < ol; ) {
+            selected( objects[ j ] ) ? remove( objects[ j ], o ) : not_selected.push( objects[ j ] );
+          }
+        break;
+        
+        case 'update':
+          for ( j = -1, ol = objects.length; ++j < ol; ) {
+            var update = objects[ j ], previous = update[ 0 ], v = update[ 1 ];
+            
+            if ( selected( previous ) ) {
+              remove( previous, o );
+            } else if ( ! selected( v ) ) {
+              not_selected.push( update );
+              
+              continue;
+            } else {
+              kept.push( record( o, 'remove', [ previous ] ) );
+            }
+            
+            selected( v ) ? add( v, o ) : kept.push( record( o, 'add', [ v ] ) );
+          }
+        break;
+        
+        default:
+          throw new Error( "compact(), unsupported action: " + o[ action_name ] );
+      }
+      
+      not_selected.length && kept.push( record( o, o[ action_name ], not_selected ) );
+    }
+    
+    var compacted = kept.concat( emit( state.entries(), 'add' ) );
+    
+    if ( full ) {
+      var entries = anti_state.entries(), removed = [], updated = [];
+      
+      for ( i = -1, l = entries.length; ++i < l; ) {
+        var e = entries[ i ];
+        
+        e.update === u
+          ? removed.push( e )
+          : updated.push( { value: [ e.value, e.update ], operation: e.operation } )
+        ;
+      }
+      
+      compacted = compacted.concat( emit( removed, 'remove' ), emit( updated, 'update' ) );
+    }
+    
+    de&&ug( 'compact(), mode: ' + ( full ? 'full' : 'selective' ) + ', operations: ' + operations.length + ', compacted: ' + compacted.length );
+    
+    return compacted;
+    
+    function selected( v ) {
+      return ! select || select( v );
+    } // selected()
+    
+    function add( v, o ) {
+      var e = full && anti_state.get( v );
+      
+      if ( ! e ) {
+        state.add( v, o );
+      } else if ( e.update === u && same( e.value, v ) ) {
+        anti_state.remove( v, o ); // this add resolves a previous remove
+      } else {
+        // this add replaces a value removed before the compacted range, i.e. an update
+        e.update = v;
+        e.operation = o;
+      }
+    } // add()
+    
+    function remove( v, o ) {
+      var e;
+      
+      if ( state.has( v ) ) {
+        state.remove( v, o );
+      } else if ( full ) {
+        if ( ( e = anti_state.get( v ) ) && e.update !== u ) {
+          // the replacing value is removed, the value removed before remains removed
+          e.update = u;
+          e.operation = o;
+        } else {
+          anti_state.add( v, o );
+        }
+      }
+    } // remove()
+    
+    // Returns records for entries, grouped by last operation if metadata are kept
+    function emit( entries, action ) {
+      var records = [], by_operation = [], values, i, l;
+      
+      if ( ! entries.length ) return records;
+      
+      if ( ! keep_metadata || full ) {
+        for ( values = [], i = -1, l = entries.length; ++i < l; ) values.push( entries[ i ].value );
+        
+        return [ record( keep_metadata && last, action, values ) ];
+      }
+      
+      for ( i = -1, l = entries.length; ++i < l; ) {
+        var e = entries[ i ], p = by_operation.indexOf( e.operation );
+        
+        if ( p === -1 ) {
+          by_operation.push( e.operation );
+          
+          records.push( record( e.operation, action, [ e.value ] ) );
+        } else {
+          records[ p ].objects.push( e.value );
+        }
+      }
+      
+      return records;
+    } // emit()
+    
+    // Returns a new record with the metadata of operation o, if any
+    function record( o, action, objects ) {
+      var r = {};
+      
+      if ( o ) for ( var p in o ) if ( p !== action_name && p !== 'objects' ) r[ p ] = o[ p ];
+      
+      r[ action_name ] = action;
+      r.objects = objects;
+      
+      return r;
+    } // record()
+  } // compact()
+  
+  /* -------------------------------------------------------------------------------------------
+     same( a, b )
+     
+     Returns true if values a and b have the same content.
+  */
+  function same( a, b ) {
+    return a === b || JSON.stringify( a ) === JSON.stringify( b );
+  } // same()
+  
+  /* -------------------------------------------------------------------------------------------
+     key_function( key )
+     
+     Returns a function returning the key of a value using Pipelet..make_key().
+  */
+  function key_function( key ) {
+    var keyed = new Pipelet( { key: key } );
+    
+    return function( v ) { return keyed.make_key( v ) };
+  } // key_function()
+  
+  /* -------------------------------------------------------------------------------------------
+     Objects( make_key )
+     
+     Objects by key, in order of first insertion, with the last operation on each object.
+  */
+  function Objects( make_key ) {
+    this.make_key = make_key;
+    this.keys     = [];
+    this.objects  = {};
+    
+    return this;
+  } // Objects()
+  
+  extend( Objects.prototype, {
+    has: function( v ) {
+      var e = this.objects[ this.make_key( v ) ];
+      
+      return e !== undefined && e.present;
+    }, // has()
+    
+    // Returns the entry of the present object with the key of v, if any
+    get: function( v ) {
+      var e = this.objects[ this.make_key( v ) ];
+      
+      return e !== undefined && e.present ? e : undefined;
+    }, // get()
+    
+    add: function( v, o ) {
+      var k = this.make_key( v ), e = this.objects[ k ];
+      
+      if ( e === undefined ) {
+        this.keys.push( k );
+        
+        this.objects[ k ] = { value: v, operation: o, present: true };
+      } else {
+        e.value = v;
+        e.operation = o;
+        e.present = true;
+      }
+      
+      return this;
+    }, // add()
+    
+    remove: function( v, o ) {
+      var e = this.objects[ this.make_key( v ) ];
+      
+      if ( e ) {
+        e.present = false;
+        e.operation = o;
+      }
+      
+      return this;
+    }, // remove()
+    
+    clear: function( o ) {
+      var objects = this.objects;
+      
+      for ( var k in objects ) {
+        objects[ k ].present = false;
+        objects[ k ].operation = o;
+      }
+      
+      return this;
+    }, // clear()
+    
+    entries: function() {
+      for ( var keys = this.keys, objects = this.objects, out = [], i = -1, l = keys.length; ++i < l; ) {
+        var e = objects[ keys[ i ] ];
+        
+        e.present && out.push( e );
+      }
+      
+      return out;
+    } // entries()
+  } ); // Objects instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'compact' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // compact.js
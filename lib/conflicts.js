@@ -0,0 +1,332 @@
+/*  conflicts.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs conflicts, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.conflicts( [ options ] )
+     
+     Detects conflicts on source Set, by watching its anti-state.
+     
+     Removes and updates that do not find a matching value in source are stored in its
+     anti-state, waiting for a matching add that should come 'soon' after. If these stay in the
+     anti-state longer than 'soon', these are considered conflicts and added to the conflicts
+     set. Once resolved by a matching add or update, conflicts are removed.
+     
+     Values in the anti-state of source when conflicts() is called are considered as removes
+     received at that time.
+     
+     Each conflict has the attributes:
+       - id     : (Integer) the conflict id, unique for this conflicts set
+       - action : (String) the operation that led to the conflict, 'remove', 'update', or
+                  'add' for duplicate adds on sets with the unique option
+       - objects: (Array) the objects of the operation, [ value ] for a remove or
+                  [ [ previous, new ] ] for an update
+       - time   : (Integer) the time in milliseconds when the operation was received
+       - options: (Object) the options of the operation, if any, holding its meta-information
+     
+     Parameters:
+       - options: (Object) optional:
+         - soon: (Integer) delay in milliseconds after which operations remaining in the
+                 anti-state are considered conflicts, default is 1000. If zero, conflicts are
+                 emitted immediately.
+     
+     Example: display conflicts on sales in a table:
+       xs.file( 'sales' ).set().conflicts( { soon: 60000 } ).table( '#sales_conflicts' );
+  */
+  function Conflicts( set, options ) {
+    var u;
+    
+    Set.call( this, [], options );
+    
+    if ( set.anti_state_destination ) throw new Error( "Conflicts(), set " + set.options.name + " already has a conflicts detector" );
+    
+    this.set = set;
+    this.soon = options.soon === u ? 1000 : options.soon;
+    
+    this.conflict_id = 0;                  // last conflict id
+    this.pending = [];                     // entries not yet emitted, in time order
+    this.entries = Object.create( null );  // entries by key, in anti-state order
+    this.timer = null;
+    
+    set.anti_state_destination = this;
+    
+    for ( var b = set.b, l = b.length, added = [], i = -1; ++i < l; ) {
+      added.push( { action: 'remove', value: b[ i ], objects: [ b[ i ] ] } );
+    }
+    
+    added.length && this.anti_state( added, [] );
+    
+    return this;
+  } // Conflicts()
+  
+  Set.build( 'conflicts', Conflicts, {
+    /* ------------------------------------------------------------------------
+       anti_state( added, removed [, options ] )
+       
+       Called by the watched set when values are added to or removed from its
+       anti-state, see Set..emit_anti_state().
+       
+       Values removed from the anti-state resolve the oldest entry with the
+       same key, removing its conflict if it was already emitted.
+    */
+    anti_state: function( added, removed, options ) {
+      var set = this.set, entries = this.entries, now = new Date().getTime()
+        , i, l, a, k, e, resolved = []
+      ;
+      
+      for ( i = -1, l = added.length; ++i < l; ) {
+        a = added[ i ];
+        
+        e = {
+          key: set.make_key( a.value ),
+          
+          conflict: {
+            id     : ++this.conflict_id,
+            action : a.action,
+            objects: a.objects,
+            time   : now
+          }
+        };
+        
+        if ( options ) e.conflict.options = options;
+        
+        ( entries[ e.key ] || ( entries[ e.key ] = [] ) ).push( e );
+        
+        this.pending.push( e );
+      }
+      
+      for ( i = -1, l = removed.length; ++i < l; ) {
+        e = entries[ k = set.make_key( removed[ i ] ) ];
+        
+        if ( ! e ) continue; // was in the anti-state before this conflicts set was created
+        
+        if ( e.length === 1 ) delete entries[ k ];
+        
+        e = e.shift();
+        
+        if ( e.emitted ) {
+          resolved.push( e.conflict );
+        } else {
+          e.resolved = true; // will be discarded by emit_conflicts()
+        }
+      }
+      
+      resolved.length && this.remove( resolved, options );
+      
+      this.emit_conflicts( now );
+      
+      return this;
+    }, // anti_state()
+    
+    /* ------------------------------------------------------------------------
+       emit_conflicts( now )
+       
+       Adds conflicts of pending entries older than soon, then sets a timer
+       for the next pending entry if any.
+    */
+    emit_conflicts: function( now ) {
+      var pending = this.pending, l = pending.length, soon = this.soon, i = -1, e, added = [];
+      
+      while ( ++i < l && ( e = pending[ i ] ).conflict.time + soon <= now ) {
+        if ( e.resolved ) continue;
+        
+        e.emitted = true;
+        
+        added.push( e.conflict );
+      }
+      
+      pending.splice( 0, i );
+      
+      de&&ug( 'emit_conflicts(), conflicts: ' + added.length + ', pending: ' + pending.length );
+      
+      added.length && this.add( added );
+      
+      if ( pending.length && this.timer === null ) {
+        var that = this;
+        
+        this.timer = setTimeout( function() {
+          that.timer = null;
+          
+          that.emit_conflicts( new Date().getTime() );
+        }, pending[ 0 ].conflict.time + soon - now );
+      }
+      
+      return this;
+    }, // emit_conflicts()
+    
+    /* ------------------------------------------------------------------------
+       _release()
+       
+       Stops the timer and stops watching the anti-state of the set.
+    */
+    _release: function() {
+      var u;
+      
+      this.timer && clearTimeout( this.timer );
+      
+      this.timer = null;
+      this.pending = [];
+      this.entries = Object.create( null );
+      
+      if ( this.set.anti_state_destination === this ) this.set.anti_state_destination = u;
+      
+      return Set.prototype._release.call( this );
+    } // _release()
+  }, function( options ) {
+    de&&ug( 'pipelet.conflicts()' );
+    
+    return new Conflicts( this, extend( {}, options ) );
+  } ); // Conflicts instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     conflicts.resolve_by_revert( [ options ] )
+     
+     The most simple and automatic conflict resolution agent, reverting conflicting operations
+     by notifying the set where conflicts were detected:
+       - remove becomes add
+       - update is reverted by removing its new value then adding its previous value, which
+         is in the anti-state of the set.
+       - add, a duplicate add reported by a set with the unique option, was not applied and
+         is reverted by an empty transaction.
+     
+     Once reverted, the operation is no longer in the anti-state of the set, and its conflict
+     is removed from the conflicts set.
+     
+     This pipelet does not emit any value.
+     
+     Parameters:
+       - options: (Object) optional:
+         - set   : (Set) the set to notify, default is the set watched by the source conflicts
+                   set.
+         - policy: (Function) policy( conflict, revert ), called for each conflict, returns
+                   the transaction to notify to set, see Pipelet..notify(), or a falsy value to
+                   leave the conflict unresolved, e.g. for manual review. The default policy
+                   returns revert, the transaction reverting the conflicting operation.
+     
+     Example: revert conflicts unless the conflicting operation is from an administrator which
+     conflicts are left for manual review:
+       set
+         .conflicts()
+         .resolve_by_revert( { policy: function( conflict, revert ) {
+           var options = conflict.options;
+           
+           return options && options.user === 'admin' ? null : revert;
+         } } )
+       ;
+  */
+  function Resolve_By_Revert( set, options ) {
+    Pipelet.call( this, options );
+    
+    this.set = set;
+    this.policy = options.policy || function( conflict, revert ) { return revert };
+    
+    return this;
+  } // Resolve_By_Revert()
+  
+  Pipelet.build( 'resolve_by_revert', Resolve_By_Revert, {
+    add: function( conflicts, options ) {
+      for ( var i = -1, l = conflicts.length; ++i < l; ) {
+        var conflict = conflicts[ i ]
+          , transaction = this.policy( conflict, Resolve_By_Revert.revert( conflict ) )
+        ;
+        
+        if ( ! transaction ) continue;
+        
+        var result = transaction.length ? this.set.notify( transaction, options ).notify_result : { success: true };
+        
+        // Duplicate adds are not in the anti-state of the set, resolve their conflict
+        result.success && conflict.action === 'add' && this.set.emit_anti_state( [], conflict.objects, options );
+        
+        de&&ug( 'resolve_by_revert..add(), conflict: ' + conflict.id + ', success: ' + result.success
+          + ( result.success ? '' : ', error: ' + result.error )
+        );
+      }
+      
+      return this;
+    }, // add()
+    
+    transform: function( conflicts ) {
+      return [];
+    }, // transform()
+    
+    remove: function( conflicts, options ) {
+      return this;
+    }, // remove()
+    
+    update: function( updates, options ) {
+      return this;
+    } // update()
+  }, function( options ) {
+    options = extend( { key: this.key }, options );
+    
+    de&&ug( 'pipelet.resolve_by_revert()' );
+    
+    return new Resolve_By_Revert( options.set || this.set, options ).add_source( this, options );
+  } ); // Resolve_By_Revert instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     Resolve_By_Revert.revert( conflict )
+     
+     Returns the transaction reverting the operation of a conflict.
+  */
+  Resolve_By_Revert.revert = function( conflict ) {
+    if ( conflict.action === 'add' ) return []; // duplicate add, not applied
+    
+    if ( conflict.action !== 'update' ) return [ Pipelet.revert_action( conflict ) ];
+    
+    var updates = Pipelet.split_updates( conflict.objects );
+    
+    return [
+      { action: 'remove', objects: updates.added   },
+      { action: 'add'   , objects: updates.removed }
+    ];
+  }; // Resolve_By_Revert.revert()
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Conflicts', 'Resolve_By_Revert' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // conflicts.js
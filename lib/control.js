@@ -113,7 +113,14 @@
       this.options = options = extend( {}, options );
       
       return this;
-    } // process_options
+    }, // process_options
+    
+    // remove the content drawn in node
+    _release: function() {
+      this.node.innerHTML = "";
+      
+      return Ordered.prototype._release.call( this );
+    } // _release()
   } ); // Control()
   
   /* -------------------------------------------------------------------------------------------
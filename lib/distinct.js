@@ -0,0 +1,164 @@
+/*  distinct.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs distinct, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.distinct( attributes [, options ] )
+     
+     A Set of the distinct tuples of attributes of source values, e.g. all countries of sales.
+     
+     Each tuple holds a reference count, the number of source values with this tuple. A tuple
+     is added on its first occurrence and removed when its count drops to zero. An update
+     moving a value from one tuple to another is emitted as a remove of the previous tuple, if
+     its count dropped to zero, and an add of the new tuple, if this is its first occurrence.
+     
+     Removes which tuple is not found, e.g. a remove received before its add, make its count
+     negative until the matching add, no tuple is emitted meanwhile.
+     
+     Parameters:
+       - attributes: (String) attribute name, or (Array of Strings) attribute names, also the
+                     key of tuples
+       - options   : (Object) optional Set options
+     
+     Example: countries of sales for a drop down control:
+       sales.distinct( 'country' ).order( [ { id: 'country' } ] ).drop_down( '#countries' );
+  */
+  function Distinct( attributes, options ) {
+    if ( typeof attributes === 'string' ) attributes = [ attributes ];
+    
+    this.attributes = attributes;
+    this.counts = Object.create( null ); // reference counts by tuple key
+    
+    return Set.call( this, [], extend( {}, options, { key: attributes } ) );
+  } // Distinct()
+  
+  Set.build( 'distinct', Distinct, {
+    /* ------------------------------------------------------------------------
+       tuple( value )
+       
+       Returns the tuple of attributes of value.
+    */
+    tuple: function( v ) {
+      for ( var attributes = this.attributes, t = {}, i = -1, l = attributes.length; ++i < l; ) {
+        t[ attributes[ i ] ] = v[ attributes[ i ] ];
+      }
+      
+      return t;
+    }, // tuple()
+    
+    /* ------------------------------------------------------------------------
+       _count( values, increment, changed )
+       
+       Adds increment to the reference counts of the tuples of values, pushing
+       to changed the tuples which count changed from zero to one when
+       incremented, or from one to zero when decremented.
+    */
+    _count: function( values, increment, changed ) {
+      var counts = this.counts;
+      
+      for ( var i = -1, l = values.length; ++i < l; ) {
+        var t = this.tuple( values[ i ] ), k = this.make_key( t ), count = counts[ k ] || 0;
+        
+        if ( ( counts[ k ] = count + increment ) === 0 ) delete counts[ k ];
+        
+        if ( increment > 0 ? count === 0 : count === 1 ) changed.push( t );
+      }
+      
+      return changed;
+    }, // _count()
+    
+    add: function( values, options ) {
+      var added = this._count( values, 1, [] );
+      
+      added.length && Set.prototype.add.call( this, added, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // add()
+    
+    remove: function( values, options ) {
+      var removed = this._count( values, -1, [] );
+      
+      removed.length && Set.prototype.remove.call( this, removed, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // remove()
+    
+    update: function( updates, options ) {
+      for ( var previous = [], values = [], i = -1, l = updates.length; ++i < l; ) {
+        var p = updates[ i ][ 0 ], v = updates[ i ][ 1 ];
+        
+        // Values which tuple does not change do not change counts
+        if ( this.make_key( p ) === this.make_key( v ) ) continue;
+        
+        previous.push( p );
+        values  .push( v );
+      }
+      
+      var removed = this._count( previous, -1, [] ), added = this._count( values, 1, [] );
+      
+      options = Pipelet.forward_options( options );
+      
+      if ( removed.length ) {
+        Set.prototype.remove.call( this, removed, added.length ? extend( {}, options, { more: true } ) : options );
+      }
+      
+      added.length && Set.prototype.add.call( this, added, options );
+      
+      return this;
+    }, // update()
+    
+    clear: function( options ) {
+      this.counts = Object.create( null );
+      
+      return Set.prototype.clear.call( this, options );
+    } // clear()
+  } ); // Distinct instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Distinct' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // distinct.js
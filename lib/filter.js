@@ -32,10 +32,14 @@
   var log      = XS.log
     , Code     = XS.Code
     , Pipelet  = XS.Pipelet
+    , Fork     = XS.Fork
   ;
   
   var push = Array.prototype.push;
   
+  // Source of constants in filter conditions: strings, numbers, booleans and null
+  var constant = '"[^"\\\\]*"|\'[^\'\\\\]*\'|-?\\d+(?:\\.\\d+)?|true|false|null';
+  
   /* -------------------------------------------------------------------------------------------
      de&&ug()
   */
@@ -108,23 +112,78 @@
       return this.source ? this.transform( this.source.get() ) : [];
     }, // get()
     
-    add: function( objects ) {
-      var added = this.transform( objects );
+    /* ------------------------------------------------------------------------
+       fetch( receiver )
+       
+       If the filter condition only tests the equality of attributes with
+       constants and the upstream set has a matching secondary index, fetches
+       matching values using Set..lookup() instead of filtering the entire
+       content of the set.
+    */
+    fetch: function( receiver ) {
+      var source = this.source, equals = this.equals();
+      
+      while ( source instanceof Fork ) source = source.source;
+      
+      if ( equals && source && source.find_index && source.find_index( equals.attributes ) ) {
+        de&&ug( 'fetch(), using index on ' + equals.attributes.join( ', ' ) );
+        
+        receiver( this.transform( source.lookup( equals.attributes, equals.values ) ), true );
+        
+        return this;
+      }
+      
+      return Pipelet.prototype.fetch.call( this, receiver );
+    }, // fetch()
+    
+    /* ------------------------------------------------------------------------
+       equals()
+       
+       Returns the attributes and values tested by the filter condition if it
+       is a conjunction of equalities between attributes and constants, e.g.
+       function( v ) { return v.country === 'Morocco' && v.year === 2013 },
+       otherwise returns undefined.
+       
+       Returns an object with attributes:
+         - attributes: (Array of Strings) tested attribute names
+         - values    : (Array) constant values of attributes
+    */
+    equals: function() {
+      var filter = this.filter = Code.decompile( this.filter ), u;
+      
+      if ( typeof filter !== 'object' || filter.parameters.length !== 1 || filter.code ) return u;
       
-      added.length && this.emit_add( added );
+      var o = filter.parameters[ 0 ]
+        , terms = filter.condition.split( '&&' )
+        , equality = new RegExp( '^\\(?\\s*' + o + '\\.(\\w+)\\s*===?\\s*(' + constant + ')\\s*\\)?$' )
+        , attributes = [], values = []
+      ;
+      
+      for ( var i = -1, l = terms.length; ++i < l; ) {
+        var term = equality.exec( terms[ i ].trim() );
+        
+        if ( ! term ) return u;
+        
+        attributes.push( term[ 1 ] );
+        values.push( eval( term[ 2 ] ) );
+      }
       
-      return this;
+      return { attributes: attributes, values: values.length === 1 ? values[ 0 ] : values };
+    }, // equals()
+    
+    add: function( objects, options ) {
+      var added = this.transform( objects );
+      
+      return this._emit_transaction( [ [ this.emit_add, added ] ], options );
     }, // add()
     
-    remove: function( objects ) {
+    remove: function( objects, options ) {
       var removed = this.transform( objects );
       
-      removed.length && this.emit_remove( removed );
-      
-      return this;
+      return this._emit_transaction( [ [ this.emit_remove, removed ] ], options );
     }, // remove()
     
-    update: function( updates ) {
+    update: function( updates, options ) {
       var filter = this.filter;
       
       switch( typeof filter ) {
@@ -133,7 +192,7 @@
         // fall-through
         
         case 'function':
-          this.update = function( updates ) {
+          this.update = function( updates, options ) {
             var l = updates.length, f = filter, removed = [], updated = [], added = [];
             
             for ( var i = -1; ++i < l; ) {
@@ -150,14 +209,14 @@
               }
             }
             
-            removed.length && this.emit_remove( removed );
-            updated.length && this.emit_update( updated );
-            added  .length && this.emit_add   ( added   );
-            
-            return this;
+            return this._emit_transaction( [
+              [ this.emit_remove, removed ],
+              [ this.emit_update, updated ],
+              [ this.emit_add   , added   ]
+            ], options );
           };
           
-          return this.update( updates );
+          return this.update( updates, options );
         break;
       }
     } // update()
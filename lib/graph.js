@@ -0,0 +1,278 @@
+/*  graph.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Pipelet  = XS.Pipelet
+    , Fork     = XS.Fork
+    , Union    = XS.Union
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs graph, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     xs.graph( [ pipelet ] )
+     
+     Describes the topology of the pipeline connected to pipelet, or this pipelet if not
+     provided, walking source, destination, and the sources and destinations of Unions and
+     Forks, including those created implicitly by _add_source() and _add_destination().
+     
+     Internal pipelets referenced by other pipelets, such as the organizer of an Order or
+     the dimensions of an Aggregate, are also described.
+     
+     Returns a JSON-serializable object with attributes:
+       - nodes: (Array of Objects) pipelets, with attributes:
+         - id      : (Integer) node id, starting at 1, the id of pipelet is 1
+         - class   : (String) the name of the constructor of the pipelet
+         - name    : (String) the name option of the pipelet, if any
+         - key     : (Array of Strings) the key of the pipelet
+         - options : (Object) the options of the pipelet, functions are described as
+                     "function", pipelets as "pipelet", DOM nodes as "node"
+         - implicit: (Boolean) true if created implicitly by _add_source() or
+                     _add_destination()
+       
+       - edges: (Array of Objects) connections, with attributes:
+         - from     : (Integer) the id of the upstream node
+         - to       : (Integer) the id of the downstream node
+         - reference: (String) for references to internal pipelets, the name of the
+                      attribute referencing the pipelet, e.g. 'order_organizer'
+     
+     Example:
+       log( log.s( xs.graph( xs.set( cars ).filter( is_sedan ).order( by_model ) ) ) );
+  */
+  function graph( pipelet ) {
+    var pipelets = [], nodes = [], edges = [], edge_keys = {};
+    
+    visit( pipelet );
+    
+    for ( var i = -1; ++i < pipelets.length; ) {
+      var p = pipelets[ i ], id = i + 1;
+      
+      var destination = p.destination, source = p.source;
+      
+      if ( p instanceof Fork ) {
+        connect_all( id, p.destinations );
+      } else if ( destination && ! through( destination.source, Union, p ) ) {
+        // Edges to a destination with a Union source are described from that Union
+        connect( id, destination );
+      }
+      
+      if ( p instanceof Union ) {
+        connect_all( id, p.sources, true );
+      } else if ( source && ! through( source.destination, Fork, p ) ) {
+        // Edges from a source with a Fork destination are described from that Fork
+        connect( id, source, true );
+      }
+      
+      for ( var name in p ) {
+        if ( ! p.hasOwnProperty( name ) ) continue;
+        
+        switch( name ) {
+          case 'source': case 'destination': case 'sources': case 'destinations': continue;
+        }
+        
+        var r = p[ name ];
+        
+        r instanceof Pipelet && ! r.is_void && add_edge( id, visit( r ), name );
+      }
+    }
+    
+    de&&ug( 'graph(), nodes: ' + nodes.length + ', edges: ' + edges.length );
+    
+    return { nodes: nodes, edges: edges };
+    
+    function visit( p ) {
+      var i = pipelets.indexOf( p );
+      
+      if ( i !== -1 ) return i + 1;
+      
+      pipelets.push( p );
+      
+      var node = {
+        id      : pipelets.length,
+        'class' : p.constructor.name || 'Pipelet',
+        key     : p.key,
+        options : json_options( p.options ),
+        implicit: p.options.implicit === true
+      };
+      
+      if ( p.options.name !== void 0 ) node.name = p.options.name;
+      
+      nodes.push( node );
+      
+      return node.id;
+    } // visit()
+    
+    function through( p, type, other ) {
+      return p instanceof type && p !== other;
+    } // through()
+    
+    function connect_all( id, pipelets, upstream ) {
+      for ( var i = -1, l = pipelets.length; ++i < l; ) connect( id, pipelets[ i ], upstream );
+    } // connect_all()
+    
+    function connect( id, p, upstream ) {
+      if ( ! ( p instanceof Pipelet ) || p.is_void ) return; // e.g. an Array source
+      
+      var other = visit( p );
+      
+      upstream ? add_edge( other, id ) : add_edge( id, other );
+    } // connect()
+    
+    function add_edge( from, to, reference ) {
+      var k = from + '>' + to + ( reference ? '.' + reference : '' );
+      
+      if ( edge_keys[ k ] ) return;
+      
+      edge_keys[ k ] = true;
+      
+      var edge = { from: from, to: to };
+      
+      if ( reference ) edge.reference = reference;
+      
+      edges.push( edge );
+    } // add_edge()
+  } // graph()
+  
+  /* -------------------------------------------------------------------------------------------
+     json_options( options )
+     
+     Returns a JSON-serializable copy of pipelet options.
+  */
+  function json_options( options ) {
+    var out = {};
+    
+    for ( var name in options ) {
+      if ( options.hasOwnProperty( name ) ) out[ name ] = json_value( options[ name ], 0 );
+    }
+    
+    return out;
+    
+    function json_value( v, depth ) {
+      switch( typeof v ) {
+        case 'function' : return 'function';
+        case 'undefined': return null;
+        case 'object'   : break;
+        default         : return v;
+      }
+      
+      if ( v === null ) return v;
+      
+      if ( v instanceof Pipelet ) return 'pipelet';
+      
+      if ( typeof v.nodeType === 'number' ) return 'node';
+      
+      if ( depth > 4 ) return '...';
+      
+      var i, out;
+      
+      if ( v instanceof Array ) {
+        for ( out = [], i = -1; ++i < v.length; ) out.push( json_value( v[ i ], depth + 1 ) );
+      } else {
+        out = {};
+        
+        for ( i in v ) if ( v.hasOwnProperty( i ) ) out[ i ] = json_value( v[ i ], depth + 1 );
+      }
+      
+      return out;
+    } // json_value()
+  } // json_options()
+  
+  /* -------------------------------------------------------------------------------------------
+     xs.dot( graph [, name ] )
+     
+     Renders a graph description, returned by xs.graph(), as a Graphviz DOT digraph.
+     
+     Nodes are labeled with their class, name, and key. Implicit forks and unions are dashed,
+     references to internal pipelets are dotted and labeled with the name of the reference.
+     
+     Parameters:
+       - graph: (Object) description returned by xs.graph(), or a Pipelet to describe
+       - name : (String) optional name of the digraph, default is 'xs'
+     
+     Example, to render an svg image using Graphviz:
+       fs.writeFileSync( 'pipeline.dot', xs.dot( xs.graph( table ) ) );
+       
+       // then from the command line: dot -Tsvg pipeline.dot -o pipeline.svg
+  */
+  function dot( graph, name ) {
+    var nodes = graph.nodes, edges = graph.edges, i, l
+      , lines = [ 'digraph ' + quote( name || 'xs' ) + ' {', '  node [ shape = box ];' ]
+    ;
+    
+    for ( i = -1, l = nodes.length; ++i < l; ) {
+      var node = nodes[ i ], label = [ node[ 'class' ] ];
+      
+      node.name !== void 0 && label.push( 'name: ' + node.name );
+      node.key && label.push( 'key: ' + node.key.join( ', ' ) );
+      
+      lines.push( '  n' + node.id + ' [ label = ' + quote( label.join( '\n' ) )
+        + ( node.implicit ? ', style = dashed' : '' ) + ' ];'
+      );
+    }
+    
+    for ( i = -1, l = edges.length; ++i < l; ) {
+      var edge = edges[ i ], reference = edge.reference;
+      
+      lines.push( '  n' + edge.from + ' -> n' + edge.to
+        + ( reference ? ' [ style = dotted, label = ' + quote( reference ) + ' ]' : '' ) + ';'
+      );
+    }
+    
+    lines.push( '}' );
+    
+    return lines.join( '\n' ) + '\n';
+    
+    function quote( s ) {
+      return '"' + ( '' + s ).replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\n/g, '\\n' ) + '"';
+    } // quote()
+  } // dot()
+  
+  Pipelet.add( 'graph', function( pipelet ) {
+    return graph( pipelet || this );
+  } );
+  
+  Pipelet.add( 'dot', function( g, name ) {
+    return dot( g instanceof Pipelet ? graph( g ) : g || graph( this ), name );
+  } );
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'graph', 'dot' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // graph.js
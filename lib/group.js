@@ -0,0 +1,266 @@
+/*  group.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs group, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     members_options( options )
+     
+     Returns options for operations on the members of a group. Each members Set receives at
+     most one operation per source operation, the 'more' option of the source transaction is
+     therefore not forwarded.
+  */
+  function members_options( options ) {
+    options = Pipelet.forward_options( options );
+    
+    delete options.more;
+    
+    return options;
+  } // members_options()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.group( dimensions [, options ] )
+     
+     A Set of groups of source values, one per distinct tuple of dimensions' attributes, i.e.
+     the groups of Aggregate's group() function.
+     
+     Each group value holds the attributes of its dimensions and a 'members' attribute, a Set
+     of the source values of this group, keyed on the key of the source. Other pipelets can
+     subscribe to members, e.g. a detail Table bound to the selected group.
+     
+     A group is added with its first member and removed when its last member is removed, its
+     members Set is then empty. Updates of source values changing dimensions move values from
+     one group's members to another. The value of a group does not change while it exists,
+     its members Set emitting changes of its members.
+     
+     Parameters:
+       - dimensions: (String) attribute name, or (Array) of attribute names or of Objects
+                     which id attribute is an attribute name, as Aggregate's dimensions. The
+                     dimensions are also the key of groups.
+       - options   : (Object) optional Set options
+     
+     Example: a master-detail view of sales by country:
+       var countries = sales.group( 'country' );
+       
+       countries.fetch_all( function( groups ) {
+         groups[ 0 ].members.order( [ { id: 'date' } ] ).table( '#sales', columns );
+       } );
+  */
+  function Group( dimensions, options ) {
+    if ( typeof dimensions === 'string' ) dimensions = [ dimensions ];
+    
+    for ( var attributes = [], i = -1, l = dimensions.length; ++i < l; ) {
+      var d = dimensions[ i ];
+      
+      attributes.push( typeof d === 'string' ? d : d.id );
+    }
+    
+    if ( attributes.length === 0 ) throw new Error( "Group(), needs at least one dimension" );
+    
+    this.attributes = attributes;
+    this.members_key = options.key; // key of source values
+    this.groups = Object.create( null ); // group values by key
+    
+    return Set.call( this, [], extend( {}, options, { key: attributes } ) );
+  } // Group()
+  
+  Set.build( 'group', Group, {
+    /* ------------------------------------------------------------------------
+       _make_group( value )
+       
+       Returns a new group value for the dimensions of value, with an empty
+       members Set.
+    */
+    _make_group: function( v ) {
+      for ( var attributes = this.attributes, g = {}, i = -1, l = attributes.length; ++i < l; ) {
+        g[ attributes[ i ] ] = v[ attributes[ i ] ];
+      }
+      
+      g.members = new Set( [], { key: this.members_key } );
+      
+      return g;
+    }, // _make_group()
+    
+    /* ------------------------------------------------------------------------
+       _split( values )
+       
+       Splits values by group, returns { keys: [], values: {} } where keys are
+       group keys in order of first occurrence and values are Arrays of values
+       by group key.
+    */
+    _split: function( values ) {
+      for ( var keys = [], by_key = Object.create( null ), i = -1, l = values.length; ++i < l; ) {
+        var v = values[ i ], k = this.make_key( v );
+        
+        if ( by_key[ k ] ) {
+          by_key[ k ].push( v );
+        } else {
+          by_key[ k ] = [ v ];
+          
+          keys.push( k );
+        }
+      }
+      
+      return { keys: keys, values: by_key };
+    }, // _split()
+    
+    /* ------------------------------------------------------------------------
+       _add( values, options, added )
+       
+       Adds values to the members of their groups, pushing to added the groups
+       created.
+    */
+    _add: function( values, options, added ) {
+      var split = this._split( values ), keys = split.keys, groups = this.groups;
+      
+      for ( var i = -1, l = keys.length; ++i < l; ) {
+        var k = keys[ i ], v = split.values[ k ], g = groups[ k ];
+        
+        g || added.push( g = groups[ k ] = this._make_group( v[ 0 ] ) );
+        
+        g.members.add( v, options );
+      }
+      
+      return added;
+    }, // _add()
+    
+    /* ------------------------------------------------------------------------
+       _remove( values, options, removed )
+       
+       Removes values from the members of their groups, pushing to removed the
+       groups which last member was removed.
+    */
+    _remove: function( values, options, removed ) {
+      var split = this._split( values ), keys = split.keys, groups = this.groups;
+      
+      for ( var i = -1, l = keys.length; ++i < l; ) {
+        var k = keys[ i ], g = groups[ k ];
+        
+        // ToDo: removes received before their add are lost, as in Order
+        if ( ! g ) continue;
+        
+        g.members.remove( split.values[ k ], options );
+        
+        if ( g.members.a.length === 0 ) {
+          delete groups[ k ];
+          
+          removed.push( g );
+        }
+      }
+      
+      return removed;
+    }, // _remove()
+    
+    add: function( values, options ) {
+      var added = this._add( values, members_options( options ), [] );
+      
+      added.length && Set.prototype.add.call( this, added, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // add()
+    
+    remove: function( values, options ) {
+      var removed = this._remove( values, members_options( options ), [] );
+      
+      removed.length && Set.prototype.remove.call( this, removed, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // remove()
+    
+    update: function( updates, options ) {
+      var groups = this.groups, _options = members_options( options ), previous = [], values = [];
+      
+      for ( var i = -1, l = updates.length; ++i < l; ) {
+        var u = updates[ i ], p = u[ 0 ], v = u[ 1 ], k = this.make_key( p );
+        
+        if ( k === this.make_key( v ) && groups[ k ] ) {
+          groups[ k ].members.update( [ u ], _options );
+        } else {
+          // Value moves to another group
+          previous.push( p );
+          values  .push( v );
+        }
+      }
+      
+      // Add before remove, so that the group of a value moving to a new group is not emptied first
+      var added = this._add( values, _options, [] ), removed = this._remove( previous, _options, [] );
+      
+      options = Pipelet.forward_options( options );
+      
+      if ( removed.length ) {
+        Set.prototype.remove.call( this, removed, added.length ? extend( {}, options, { more: true } ) : options );
+      }
+      
+      added.length && Set.prototype.add.call( this, added, options );
+      
+      return this;
+    }, // update()
+    
+    clear: function( options ) {
+      var a = this.a, _options = members_options( options );
+      
+      for ( var i = -1, l = a.length; ++i < l; ) a[ i ].members.clear( _options );
+      
+      this.groups = Object.create( null );
+      
+      return Set.prototype.clear.call( this, options );
+    }, // clear()
+    
+    _release: function() {
+      var a = this.a;
+      
+      for ( var i = -1, l = a.length; ++i < l; ) a[ i ].members.dispose();
+      
+      this.groups = Object.create( null );
+      
+      return Set.prototype._release.call( this );
+    } // _release()
+  } ); // Group instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Group' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // group.js
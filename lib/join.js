@@ -145,9 +145,18 @@
     this.position = position;
     this.merge = merge;
     
-    this.make_organizer_and_transform( position, on );
+    var index = this.find_filter_index( position, filter, on );
     
-    this.filter = filter.order( this.organizer, this.options );
+    if ( index ) {
+      // Lookup matching values using a secondary index of filter instead of an ordered copy
+      this.filter = filter;
+      
+      this.make_index_transform( position, on, index );
+    } else {
+      this.make_organizer_and_transform( position, on );
+      
+      this.filter = filter.order( this.organizer, this.options );
+    }
     
     // fetch should use only one of the half-joins => disable fetch on the right half-join
     if ( position ) {
@@ -182,6 +191,13 @@
   } // Half_Join()
   
   Pipelet.build( 'half_join', Half_Join, {
+    _release: function() {
+      // Dispose the order on the other side of the join, not the other side itself
+      this.index || this.filter.dispose( { upstream: false } );
+      
+      return Pipelet.prototype._release.call( this );
+    }, // _release()
+    
     make_organizer_and_transform: function( position, on ) {
       var organizer = this.organizer = [], attributes = [], renames = 0;
       
@@ -276,7 +292,73 @@
       eval( transform.get() );
       
       return this;
-    } // make_organizer_and_transform()
+    }, // make_organizer_and_transform()
+    
+    /* ------------------------------------------------------------------------
+       find_filter_index( position, filter, on )
+       
+       Returns the secondary index of filter on its attributes in the on
+       condition, or undefined if filter is not a Set with such index.
+    */
+    find_filter_index: function( position, filter, on ) {
+      var u;
+      
+      if ( ! filter.find_index ) return u;
+      
+      for ( var i = -1, l = on.length, attributes = []; ++i < l; ) {
+        var c = on[ i ];
+        
+        attributes.push( typeof c === 'string' ? c : c[ position ^ 1 ] );
+      }
+      
+      return filter.find_index( attributes );
+    }, // find_filter_index()
+    
+    /* ------------------------------------------------------------------------
+       make_index_transform( position, on, index )
+       
+       Makes transform() joining values with matching values of the filter
+       found using Set..lookup() on index.
+    */
+    make_index_transform: function( position, on, index ) {
+      var attributes = index.attributes, l = attributes.length, from = [], u;
+      
+      // Attributes of joined values, in the order of index attributes
+      for ( var i = -1, ol = on.length; ++i < ol; ) {
+        var c = on[ i ];
+        
+        if ( typeof c === 'string' ) c = [ c, c ];
+        
+        from[ attributes.indexOf( c[ position ^ 1 ] ) ] = c[ position ];
+      }
+      
+      this.index = index;
+      
+      this.transform = function( values ) {
+        var filter = this.filter, merge = this.merge, all = this.options.all, out = [];
+        
+        // Right values which have no left match are not emitted, as with an ordered filter
+        if ( this.only_not_matching ) return out;
+        
+        for ( var i = -1, vl = values.length; ++i < vl; ) {
+          var v = values[ i ], key = [];
+          
+          for ( var j = -1; ++j < l; ) key.push( v[ from[ j ] ] );
+          
+          var matches = filter.lookup( attributes, l === 1 ? key[ 0 ] : key ), ml = matches.length;
+          
+          if ( ml ) {
+            for ( j = -1; ++j < ml; ) out.push( position ? merge( matches[ j ], v ) : merge( v, matches[ j ] ) );
+          } else if ( all ) {
+            out.push( position ? merge( u, v ) : merge( v ) );
+          }
+        }
+        
+        return out;
+      }; // transform()
+      
+      return this;
+    } // make_index_transform()
   } ); // Half_Join instance methods
   
   /* --------------------------------------------------------------------------
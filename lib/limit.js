@@ -0,0 +1,315 @@
+/*  limit.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+    require( './order.js'   );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var xs       = XS.xs
+    , log      = XS.log
+    , extend   = XS.extend
+    , subclass = XS.subclass
+    , Pipelet  = XS.Pipelet
+    , Fork     = XS.Fork
+    , Order    = XS.Order
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs limit, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     order.limit( count [, offset ] [, options ] )
+     
+     Emits the values of an Order within a window of count values starting at offset.
+     
+     After each operation on the order, the new window is compared with the previous window
+     by key, emitting removes of values leaving the window, updates of values changed within
+     the window, and adds of values entering the window, e.g. when an insert before the
+     window shifts its last value out of the window. Operations are emitted as a transaction,
+     all but the last with the 'more' option.
+     
+     Parameters:
+       - count  : (Integer) maximum number of values in the window
+       - offset : (Integer) position of the first value of the window in the order, default
+                  is zero
+       - options: (Object) optional Pipelet options
+     
+     Example: latest 20 sales:
+       sales.order( [ { id: 'date', descending: true } ] ).limit( 20 ).table( '#latest_sales', columns );
+  */
+  function Limit( order, count, offset, options ) {
+    Pipelet.call( this, options );
+    
+    while ( order instanceof Fork ) order = order.source;
+    
+    if ( ! ( order instanceof Order ) ) throw new Error( "Limit(), source must be an Order" );
+    
+    this.order  = order;
+    this.count  = count;
+    this.offset = offset || 0;
+    this.window = [];
+    
+    return this;
+  } // Limit()
+  
+  Pipelet.build( 'limit', Limit, {
+    /* ------------------------------------------------------------------------
+       set_limit( count, offset [, options ] )
+       
+       Moves or resizes the window, emitting changes.
+    */
+    set_limit: function( count, offset, options ) {
+      this.count  = count;
+      this.offset = offset || 0;
+      
+      return this._update_window( options );
+    }, // set_limit()
+    
+    /* ------------------------------------------------------------------------
+       _update_window( [ options ] )
+       
+       Computes the window from the current state of the order, then emits
+       differences with the previous window.
+    */
+    _update_window: function( options ) {
+      var previous = this.window, offset = this.offset
+        , window = this.window = this.order.a.slice( offset, offset + this.count )
+        , keys = Object.create( null ), removed = [], updated = [], added = []
+        , i, l, k, p
+      ;
+      
+      for ( i = -1, l = previous.length; ++i < l; ) keys[ this.make_key( previous[ i ] ) ] = previous[ i ];
+      
+      for ( i = -1, l = window.length; ++i < l; ) {
+        var v = window[ i ];
+        
+        p = keys[ k = this.make_key( v ) ];
+        
+        if ( p === undefined ) {
+          added.push( v );
+        } else {
+          delete keys[ k ];
+          
+          p !== v && updated.push( [ p, v ] );
+        }
+      }
+      
+      for ( k in keys ) removed.push( keys[ k ] );
+      
+      de&&ug( '_update_window(), offset: ' + offset + ', count: ' + this.count
+        + ', removed: ' + removed.length + ', updated: ' + updated.length + ', added: ' + added.length
+      );
+      
+      return this._emit_transaction( [
+        [ this.emit_remove, removed ],
+        [ this.emit_update, updated ],
+        [ this.emit_add   , added   ]
+      ], options );
+    }, // _update_window()
+    
+    fetch: function( receiver ) {
+      receiver( this.window, true );
+      
+      return this;
+    }, // fetch()
+    
+    add: function( values, options ) {
+      return this._update_window( options );
+    }, // add()
+    
+    remove: function( values, options ) {
+      return this._update_window( options );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      return this._update_window( options );
+    }, // update()
+    
+    clear: function( options ) {
+      this.window = [];
+      
+      return this.emit_clear( Pipelet.forward_options( options ) );
+    } // clear()
+  }, function( count, offset, options ) {
+    if ( typeof offset === 'object' ) {
+      options = offset;
+      offset = 0;
+    }
+    
+    options = extend( { key: this.key }, options );
+    
+    de&&ug( 'pipelet.limit(), count: ' + count + ', offset: ' + offset );
+    
+    return new Limit( this, count, offset, options ).add_source( this, options );
+  } ); // Limit instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     Paginate_Organizer( page_set, paginate, options )
+     
+     Sets the page of paginate from the first value of page_set, then again every time
+     page_set changes.
+  */
+  function Paginate_Organizer( page_set, paginate, options ) {
+    Pipelet.call( this, options );
+    
+    this.paginate = paginate;
+    
+    if ( typeof page_set.fetch_all === 'function' ) return this.add_source( this.page_set = page_set );
+    
+    paginate.set_page( page_set );
+    
+    return this;
+  } // Paginate_Organizer()
+  
+  subclass( Pipelet, Paginate_Organizer );
+  
+  var p = Paginate_Organizer.prototype;
+  
+  p.add = p.remove = p.update = p.clear = function() {
+    var paginate = this.paginate;
+    
+    this.page_set.fetch_all( function( pages ) {
+      paginate.set_page( pages[ 0 ] );
+    } );
+    
+    return this;
+  }; // add / remove / update / clear
+  
+  /* -------------------------------------------------------------------------------------------
+     order.paginate( page_set [, options ] )
+     
+     Emits the values of the current page of an Order, see limit(). The current page is set
+     by the first value of page_set, with attributes:
+       - page     : (Integer) the current page number, starting at 1, default is 1
+       - page_size: (Integer) the number of values per page, default is options.page_size
+     
+     When page_set changes, the values of the new page are emitted as changes from the values
+     of the previous page.
+     
+     The pager set of this pipelet holds a single value, updated when the page or the number
+     of values in the order change, with attributes:
+       - id       : (Integer) always 1
+       - page     : (Integer) the current page number
+       - page_size: (Integer) the number of values per page
+       - count    : (Integer) the total number of values in the order
+       - pages    : (Integer) the number of pages
+     
+     Parameters:
+       - page_set: (Set) of the current page, e.g. fed by a control, or (Object) the page
+       - options : (Object) optional Pipelet options:
+         - page_size: (Integer) default page size, default is 10
+     
+     Example:
+       var page = xs.set( [ { id: 1, page: 1, page_size: 20 } ] );
+       
+       var sales_page = sales.order( [ { id: 'date' } ] ).paginate( page );
+       
+       sales_page.table( '#sales', columns );
+       
+       sales_page.pager.table( '#sales_pager', pager_columns );
+  */
+  function Paginate( order, page_set, options ) {
+    Limit.call( this, order, 0, 0, options );
+    
+    this.pager = xs.set( [], { name: ( this.options.name || 'paginate' ) + ' pager' } );
+    
+    this.paginate_organizer = new Paginate_Organizer( page_set, this, options );
+    
+    return this;
+  } // Paginate()
+  
+  Limit.build( 'paginate', Paginate, {
+    /* ------------------------------------------------------------------------
+       set_page( page [, options ] )
+       
+       Sets the current page, emitting changes, see order.paginate() for the
+       attributes of page.
+    */
+    set_page: function( page, options ) {
+      page = page || {};
+      
+      var page_size = page.page_size || this.options.page_size || 10;
+      
+      this.page = page.page || 1;
+      
+      return this.set_limit( page_size, ( this.page - 1 ) * page_size, options );
+    }, // set_page()
+    
+    _update_window: function( options ) {
+      Limit.prototype._update_window.call( this, options );
+      
+      return this._update_pager();
+    }, // _update_window()
+    
+    /* ------------------------------------------------------------------------
+       _update_pager()
+       
+       Updates the value of the pager set if it changed.
+    */
+    _update_pager: function() {
+      var count = this.order.a.length, page_size = this.count
+        , pager = { id: 1, page: this.page, page_size: page_size, count: count, pages: Math.ceil( count / page_size ) }
+        , previous = this.pager.a[ 0 ]
+      ;
+      
+      if ( ! previous ) {
+        this.pager.add( [ pager ] );
+      } else if ( previous.page !== pager.page || previous.page_size !== page_size || previous.count !== count ) {
+        this.pager.update( [ [ previous, pager ] ] );
+      }
+      
+      return this;
+    }, // _update_pager()
+    
+    _release: function() {
+      this.paginate_organizer.dispose( { upstream: false } );
+      
+      this.pager.dispose();
+      
+      return Limit.prototype._release.call( this );
+    } // _release()
+  }, function( page_set, options ) {
+    options = extend( { key: this.key }, options );
+    
+    de&&ug( 'pipelet.paginate()' );
+    
+    return new Paginate( this, page_set, options ).add_source( this, options );
+  } ); // Paginate instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Limit', 'Paginate' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // limit.js
@@ -0,0 +1,184 @@
+/*  map.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './code.js' );
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Code     = XS.Code
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs map, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.map( mapper [, options ] )
+     
+     Transforms each value using mapper( value, position, values ), returning the transformed
+     value.
+     
+     As for filter(), mapper is decompiled, when possible, to generate an unrolled loop
+     inlining its code, i.e. for functions made of statements followed by a return of an
+     expression, such as function( v ) { return { id: v.id, total: v.price * v.quantity } }.
+     Decompiled code is evaluated out of the closure of mapper, it should therefore only
+     reference its parameters and global variables.
+     
+     Updates are mapped into updates of mapped values, unless the key of the mapped value
+     changes, the update is then emitted as a remove of the previous mapped value followed
+     by an add of the new mapped value.
+     
+     Parameters:
+       - mapper : (Function) returns the mapped value, it should not modify its parameter
+       - options: (Object) optional Pipelet options, the key option is the key of mapped
+                  values, default is [ 'id' ]
+     
+     Example:
+       sales.map( function( sale ) {
+         return { id: sale.id, country: sale.country, total: sale.price * sale.quantity };
+       } );
+  */
+  function Map( mapper, options ) {
+    this.mapper = mapper;
+    
+    return Pipelet.call( this, options );
+  } // Map()
+  
+  Pipelet.build( 'map', Map, {
+    transform: function( objects ) {
+      var mapper = this.mapper = Code.decompile( this.mapper )
+        , vars = [ '_out = []' ]
+        , first, u, index = 'i', objects_variable = '_o'
+      ;
+      
+      switch( typeof mapper ) {
+        case 'object': // { parameters: [ 'o' ], code: '', condition: '{ id: o.id, total: o.price * o.quantity }' }
+          var p = mapper.parameters;
+          
+          if ( p.length && p[ 0 ] ) {
+            if ( p.length > 1 ) index = p[ 1 ];
+            if ( p.length > 2 ) objects_variable = p[ 2 ];
+            
+            var o = p[ 0 ];
+            
+            vars.push( o );
+            
+            first = o + ' = ' + objects_variable + '[ ++' + index + ' ]; ' + mapper.code + ' _out.push( ' + mapper.condition + ' );';
+            
+            break;
+          }
+          
+          mapper = mapper.f;
+        // fall-through
+        
+        case 'function':
+          vars.push( 'f = mapper' );
+          
+          first = '_out.push( f( _o[ ++i ], i, _o ) );';
+        break;
+        
+        default: throw new Error( "Map..transform(), mapper is not a function" );
+      }
+      
+      vars.push( index + ' = -1', 'l = ' + objects_variable + '.length' );
+      
+      eval( new Code()
+        ._function( 'this.transform', null, [ objects_variable ] )
+          ._var( vars )
+          
+          .unrolled_while( first, u, u, { index: index } )
+          
+          .add( 'return _out' )
+        .end( 'Map.transform()' )
+        .get()
+      );
+      
+      return this.transform( objects );
+    }, // transform()
+    
+    add: function( objects, options ) {
+      return this.emit_add( this.transform( objects ), Pipelet.forward_options( options ) );
+    }, // add()
+    
+    remove: function( objects, options ) {
+      return this.emit_remove( this.transform( objects ), Pipelet.forward_options( options ) );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      var l = updates.length, previous = [], values = [], i;
+      
+      for ( i = -1; ++i < l; ) {
+        previous.push( updates[ i ][ 0 ] );
+        values  .push( updates[ i ][ 1 ] );
+      }
+      
+      previous = this.transform( previous );
+      values   = this.transform( values   );
+      
+      var removed = [], updated = [], added = [];
+      
+      for ( i = -1; ++i < l; ) {
+        var p = previous[ i ], v = values[ i ];
+        
+        if ( this.make_key( p ) === this.make_key( v ) ) {
+          updated.push( [ p, v ] );
+        } else {
+          // The mapped key changed
+          removed.push( p );
+          added  .push( v );
+        }
+      }
+      
+      options = Pipelet.forward_options( options );
+      
+      if ( ! removed.length ) return this.emit_update( updated, options );
+      
+      // Emit a transaction, all but the last operation are followed by more operations
+      var more = Pipelet.forward_options( options, { more: true } );
+      
+      this.emit_remove( removed, more );
+      
+      updated.length && this.emit_update( updated, more );
+      
+      return this.emit_add( added, options );
+    } // update()
+  } ); // Map instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Map' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // map.js
@@ -133,6 +133,11 @@
   
   /* -------------------------------------------------------------------------------------------
      Order()
+     
+     Operations which 'more' option is true are buffered until the end of their transaction,
+     then applied as one coalesced change, see Pipelet.._batch().
+     
+     Duplicate adds are handled according to the unique option, see Set.._unique().
   */
   function Order( organizer, options ) {
     var a = [];
@@ -146,6 +151,8 @@
   
   Set.build( 'order', Order, {
     sort: function( organizer ) {
+      this.fetching.length && this._fetch_flush();
+      
       this.organizer = organizer;
       
       var a = this.a, l = a.length;
@@ -202,6 +209,41 @@
       return this;
     }, // sort()
     
+    /* ------------------------------------------------------------------------
+       _release()
+       
+       Disconnects the organizer.
+    */
+    _release: function() {
+      this.order_organizer.dispose( { upstream: false } );
+      
+      return Set.prototype._release.call( this );
+    }, // _release()
+    
+    /* ------------------------------------------------------------------------
+       clear( [ options ] )
+       
+       Clears content, a transaction terminated by clear discards its buffered
+       operations, see Pipelet.coalesce().
+    */
+    clear: function( options ) {
+      var u;
+      
+      return this._batch( 'clear', u, options ) ? this : Set.prototype.clear.call( this, options );
+    }, // clear()
+    
+    /* ------------------------------------------------------------------------
+       _fetch_options( position, count )
+       
+       Provides locations for chunks of a chunked fetch, inserting each chunk
+       after the previous ones, see Set..fetch().
+    */
+    _fetch_options: function( position, count ) {
+      for ( var locations = []; count--; ) locations.push( position );
+      
+      return { locations: locations };
+    }, // _fetch_options()
+    
     locate: function( objects, options ) {
       var u, start = 0, stop = this.a.length, n = objects.length, step, guess = 0
         , locations = [], previous
@@ -388,18 +430,26 @@
       }
     }, // locate()
     
-    add: function( objects ) {
-      objects = objects.slice( 0 );
+    add: function( objects, options ) {
+      if ( this._batch( 'add', objects, options ) ) return this;
+      
+      this.fetching.length && this._fetch_flush();
+      
+      options = this._metadata( options );
+      
+      var unique = this._unique( objects, options ), updates = unique.updates, a = this.a, emitted;
+      
+      objects = unique.values.slice( 0 );
       
       objects.sort( this.organizer );
       
-      var a = this.a, options = {};
+      emitted = Pipelet.forward_options( options, updates.length ? { more: true } : {} );
       
       if ( a.length === 0 ) {
         this.a = objects;
       } else {
         var locations = this.locate( objects ) // we're not looking for exact key matches but ToDo: we might have to
-          , _locations = options.locations = []
+          , _locations = emitted.locations = []
         ;
         
         for ( var i = locations.length; i; ) {
@@ -414,16 +464,27 @@
         }
       }
       
-      return this.emit_add( objects, options );
+      if ( updates.length ) {
+        objects.length && this.emit_add( objects, emitted );
+        
+        return this.update( updates, options );
+      }
+      
+      return this.emit_add( objects, emitted );
     }, // add()
     
-    remove: function( objects ) {
+    remove: function( objects, options ) {
+      if ( this._batch( 'remove', objects, options ) ) return this;
+      
+      this.fetching.length && this._fetch_flush();
+      
       objects = objects.slice( 0 );
       
       objects.sort( this.organizer );
       
+      options = Pipelet.forward_options( this._metadata( options ) );
+      
       var locations = this.locate( objects, { exact: true } )
-        , options = {}
         , _locations = options.locations = []
         , a = this.a, u
       ;
@@ -445,13 +506,18 @@
       return this.emit_remove( objects, options );
     }, // remove()
     
-    update: function( updates ) {
+    update: function( updates, options ) {
+      if ( this._batch( 'update', updates, options ) ) return this;
+      
+      this.fetching.length && this._fetch_flush();
+      
       var organizer = this.organizer;
       
       updates.sort( function( a, b ) { return organizer( a[ 0 ], b[ 0 ] ) } );
       
+      options = Pipelet.forward_options( this._metadata( options ) );
+      
       var locations = this.locate( updates, { exact: true } )
-        , options = {}
         , moves = options.moves = []
         , a = this.a, u
       ;
@@ -630,6 +696,8 @@
     insert_: function( at, value ) {
       this.a.splice( at, 0, value );
       
+      delete this.key_indexes.a; // positions changed, rebuilt by next index_of()
+      
       //de&&ug( 'ordered..insert_(), ' + log.s( { at: at, v: value, a: this.a } ) );
       
       return this;
@@ -638,13 +706,15 @@
     remove_: function( from, value ) {
       this.a.splice( from, 1 );
       
+      delete this.key_indexes.a;
+      
       //de&&ug( 'ordered..remove_(), ' + log.s( { from: from, v: value, a: this.a } ) );
       
       return this;
     }, // remove__()
     
     update_: function( at, update ) {
-      this.a[ at ] = update[ 1 ];
+      this._set( 'a', at, update[ 1 ] );
       
       //de&&ug( 'ordered..update_(), ' + log.s( { at: at, update: update, a: this.a } ) );
       
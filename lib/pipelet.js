@@ -50,6 +50,8 @@
     , concat = Array.prototype.concat
   ;
   
+  var fetching_all = 0; // fetch_all() calls in progress, see Pipelet..fetch_all()
+  
   /* -------------------------------------------------------------------------------------------
      de&&ug()
   */
@@ -82,6 +84,12 @@
      more option is discarded the only consequence should be that these optimisations could not
      be performed, possibly resulting in performance issues.
      
+     Operations also carry a 'metadata' option, an envelope attached by the entry point of the
+     operation, i.e. a Set or notify(), see Pipelet.metadata(). Metadata hold the transaction
+     id, the time, and optionally the id of the user who originated the operation. Metadata are
+     forwarded intact by all pipelets, allowing downstream pipelets to implement persistence,
+     replication and conflict resolution.
+     
      Pipelets can be distributed vertically, or horizontally. Vertical distribution is when
      a individual pipelets run on different processes or servers but each pipelet is executed
      entirely within the same thread. Horizontal distribution, aka charding, is when a single
@@ -256,18 +264,29 @@
        
        Parameter:
          - receiver: function that will be called for each chunk of data and
-           which signature is  receiver( values, no_more ):
+           which signature is  receiver( values, no_more [, options ] ):
              - values: (Array) of values for each chunk
              
              - no_more: indicated the last chunk if truly 
+             
+             - options: optional object, options for adding values of this
+               chunk, such as locations provided by Order. Options are
+               discarded if transform() changes values.
     */
     fetch: function( receiver ) {
       var that = this;
       
-      return this._fetch_source( function( values, no_more ) {
-        if ( values && values.length ) values = that.transform( values );
+      return this._fetch_source( function( values, no_more, options ) {
+        if ( values && values.length ) {
+          var transformed = that.transform( values );
+          
+          if ( transformed !== values ) {
+            values = transformed;
+            options = u;
+          }
+        }
         
-        receiver( values, no_more );
+        receiver( values, no_more, options );
       } );
     }, // fetch()
     
@@ -317,7 +336,9 @@
          
          Array of values: the source is in the same process or worker thread,
            the fetch_all() method is therefore synchronous and the returned
-           value contains the Array of all the values of the set.
+           value contains the Array of all the values of the set. Upstream
+           Sets with a chunk_size option deliver all their values at once
+           for fetch_all().
          
        Exceptions:
          If the method is asynhronous, because the source is in a different
@@ -329,28 +350,35 @@
     fetch_all: function( receiver ) {
       var that = this, u, out;
       
-      if ( this.fetch === Pipelet.prototype.fetch ) {
-        // fetch has not been overloaded so this is a stateless pipelet
-        // Can optimize using _fetch_source_all() to do a single transform
-        this._fetch_source_all( function( values, no_more ) {
-          out = that.transform( values );
-          
-          receiver && receiver( out, no_more );
-        } );
-      } else {
-        var chunks = [];
-        
-        this.fetch( function( values, no_more ) {
-          if ( out ) throw new Error( "Pipelet..fetch_all(): received extra chunck after no_more" );
-          
-          if ( values && values.length ) chunks.push( values );
-          
-          if ( no_more ) {
-            out = concat.apply( [], chunks );
+      // Chunked Sets deliver all their values at once meanwhile, see Set..fetch()
+      fetching_all += 1;
+      
+      try {
+        if ( this.fetch === Pipelet.prototype.fetch ) {
+          // fetch has not been overloaded so this is a stateless pipelet
+          // Can optimize using _fetch_source_all() to do a single transform
+          this._fetch_source_all( function( values, no_more ) {
+            out = that.transform( values );
             
             receiver && receiver( out, no_more );
-          }
-        } );
+          } );
+        } else {
+          var chunks = [];
+          
+          this.fetch( function( values, no_more ) {
+            if ( out ) throw new Error( "Pipelet..fetch_all(): received extra chunck after no_more" );
+            
+            if ( values && values.length ) chunks.push( values );
+            
+            if ( no_more ) {
+              out = concat.apply( [], chunks );
+              
+              receiver && receiver( out, no_more );
+            }
+          } );
+        }
+      } finally {
+        fetching_all -= 1;
       }
       
       if ( out === u && receiver === u ) throw new Error( "Pipelet..fetch_all() is asynchronous and no receiver function was provided" );
@@ -398,8 +426,21 @@
     /* ------------------------------------------------------------------------
        notify( transaction [, options ] )
        
-       Executes a transaction, eventually atomically (everything succeeds or
-       everything fails).
+       Executes a transaction atomically, everything succeeds or everything
+       fails.
+       
+       If an action fails, including in any downstream pipelet, the actions
+       already executed are reverted in reverse order, emitting inverse
+       operations, see Pipelet.revert_action(). The failed action is only
+       reverted if it was partially executed, i.e. if this pipelet emitted
+       values before failing, e.g. when a downstream pipelet failed after this
+       pipelet's state was modified. A failed action that did not emit
+       anything is considered not executed. The inverse of the failed action
+       is only emitted to downstream pipelets which executed it, see
+       _emit_destinations().
+       
+       Inverse operations are executed with a 'rollback' option set to true
+       allowing downstream pipelets to distinguish them from other operations.
        
        Parameters:
          - transaction: Array of actions. Each action has attributes:
@@ -408,15 +449,31 @@
              is an Array where the first item is the previous object value and the
              second item is the new object value
 
-         - options: optional object of optional attributes
+         - options: optional object of optional attributes, a metadata envelope is
+           attached to options using Pipelet.metadata(), with the metadata option of
+           this pipelet as defaults, all actions share the same transaction id
+       
+       Returns this. The result of the transaction is set in
+       this.notify_result, an object with attributes:
+         - success: (Boolean) true if all actions were executed, false if the
+                    transaction failed and was rolled back.
+         
+         - count  : (Integer) the number of executed actions, i.e. all actions
+                    on success, zero on failure.
+         
+         - error  : (Error) on failure, the error that caused the failure
          
-       ToDo: manage atomic transcations, will rollback capability
+         - failed : (Integer) on failure, the position of the failed action in
+                    transaction
+         
+         - rollback_errors: (Array of Errors) on failure, errors thrown while
+                    reverting actions, empty if all actions were reverted.
     */
     notify: function( transaction, options ) {
-      var l = transaction.length;
+      var that = this, l = transaction.length, i, a;
       
-      for ( var i = -1; ++i < l; ) {
-        var a = transaction[ i ].action;
+      for ( i = -1; ++i < l; ) {
+        a = transaction[ i ].action;
         
         switch( a ) {
           case 'add':
@@ -426,17 +483,48 @@
           // fall-through
           
           default:
-            throw( new Unsuported_Action( a ) );
+            return failed( new Error( "Pipelet..notify(), unsupported action: " + a ), [] );
         }
       }
       
-      for ( var i = -1; ++i < l; ) {
-        var a = transaction[ i ];
+      options = Pipelet.metadata( options, this.options.metadata );
+      
+      try {
+        for ( i = -1; ++i < l; ) {
+          a = transaction[ i ];
+          
+          this._emitted = false; // set by emit_add(), emit_remove() and emit_update()
+          
+          this[ a.action ]( a.objects, options );
+        }
+      } catch( e ) {
+        de&&ug( 'notify(), failed action: ' + i + ', error: ' + e + ', rolling back' );
+        
+        var _options = extend( {}, options, { rollback: true } ), errors = [];
+        
+        // Revert executed actions, and the failed action if partially executed
+        for ( var j = this._emitted ? i + 1 : i; j; ) {
+          a = Pipelet.revert_action( transaction[ --j ] );
+          
+          try {
+            this[ a.action ]( a.objects, _options );
+          } catch( rollback_error ) {
+            errors.push( rollback_error );
+          }
+        }
         
-        this[ a.action ]( a.objects, options );
+        return failed( e, errors );
       }
       
+      this.notify_result = { success: true, count: l };
+      
       return this;
+      
+      function failed( error, rollback_errors ) {
+        that.notify_result = { success: false, count: 0, error: error, failed: i, rollback_errors: rollback_errors };
+        
+        return that;
+      } // failed()
     }, // notify()
     
     /* ------------------------------------------------------------------------
@@ -481,7 +569,10 @@
       
       de&&ug( 'emit_add(), l: ' + added.length + ', d: ' + typeof d );
       
-      d && d.add( added, options );
+      this._emitted = true; // see notify()
+      this._more = !!( options && options.more ); // see _emit_transaction()
+      
+      d && this._emit_destinations( [ d ], 'add', added, options );
       
       return this;
     }, // emit_add()
@@ -567,7 +658,10 @@
       
       de&&ug( 'emit_update(), l: ' + updated.length + ', d: ' + typeof d );
       
-      d && d.update( updated, options );
+      this._emitted = true; // see notify()
+      this._more = !!( options && options.more ); // see _emit_transaction()
+      
+      d && this._emit_destinations( [ d ], 'update', updated, options );
       
       return this;
     }, // emit_update()
@@ -614,7 +708,10 @@
       
       de&&ug( 'emit_remove(), l: ' + removed.length + ', d: ' + typeof d );
       
-      d && d.remove( removed, options );
+      this._emitted = true; // see notify()
+      this._more = !!( options && options.more ); // see _emit_transaction()
+      
+      d && this._emit_destinations( [ d ], 'remove', removed, options );
       
       return this;
     }, // emit_remove()
@@ -655,11 +752,52 @@
       
       de&&ug( 'emit_clear(), d: ' + typeof d );
       
-      d && d.clear( options );
+      this._more = !!( options && options.more ); // see _emit_transaction()
+      
+      d && this._emit_destinations( [ d ], 'clear', u, options );
       
       return this;
     }, // emit_clear()
     
+    /* ------------------------------------------------------------------------
+       _emit_destinations( destinations, operation, values [, options ] )
+       
+       Calls operation, 'add', 'remove', 'update' or 'clear', of destinations.
+       
+       If a destination throws, the destinations which did not execute the
+       operation, i.e. the failed destination if it did not emit, and the
+       following destinations, are kept until the next emitted operation. If
+       that operation has the 'rollback' option, i.e. it reverts the failed
+       operation, see notify(), it is not emitted to these destinations.
+       
+       Returns this.
+    */
+    _emit_destinations: function( destinations, operation, values, options ) {
+      var not_executed = options && options.rollback && this._not_executed
+        , l = destinations.length, i = -1, d
+      ;
+      
+      this._not_executed = u;
+      
+      try {
+        while ( ++i < l ) {
+          d = destinations[ i ];
+          
+          if ( not_executed && not_executed.indexOf( d ) !== -1 ) continue;
+          
+          d._emitted = false; // set by emit_add(), emit_remove() and emit_update()
+          
+          operation === 'clear' ? d.clear( options ) : d[ operation ]( values, options );
+        }
+      } catch( e ) {
+        this._not_executed = destinations.slice( d._emitted ? i + 1 : i );
+        
+        throw e;
+      }
+      
+      return this;
+    }, // _emit_destinations()
+    
     /* ------------------------------------------------------------------------
        add_source( source [, options ] )
        
@@ -685,16 +823,26 @@
     add_source: function( source, options ) {
       if ( source.is_void ) return this;
       
-      var that = this, connected;
+      var that = this, connected, fetched;
       
       if ( options && options.no_add ) return connect();
       
       if ( source.fetch ) {
-        source.fetch( function( values, no_more ) {
-          if ( values && values.length ) that.add( values );
+        source.fetch( function( values, no_more, options ) {
+          if ( fetched ) throw new Error( 'Pipelet.add_source(), received chunk after no_more from fetch()' );
+          
+          if ( values && values.length ) that.add( values, options );
           
-          if ( no_more ) connect();
+          if ( no_more ) {
+            fetched = true;
+            
+            connected || connect();
+          }
         } );
+        
+        // The fetch is asynchronous, connect now so that no operation is missed, a chunked
+        // source delivers remaining chunks before emitting operations, see Set..fetch()
+        connected || connect();
       } else {
         this.add( source );
         connect();
@@ -736,7 +884,7 @@
       if ( s ) {
         if ( ! ( s instanceof Union ) ) {
           this.source = s = xs
-            .union()
+            .union( u, { implicit: true } )
             ._add_destination( this )
             ._add_source( s )
           ;
@@ -773,7 +921,7 @@
         if ( ! ( d instanceof Fork ) ) {
           // Create a fork then add current destination
           this.destination = u;
-          d = ( this.fork( u, { no_add: true } ) )._add_destination( d );
+          d = ( this.fork( u, { no_add: true, implicit: true } ) )._add_destination( d );
         }
         d._add_destination( destination );
       } else {
@@ -821,8 +969,16 @@
       var u, s = this.source;
       
       if ( s ) {
-        if ( s instanceof Union ) {
+        if ( s instanceof Union && s !== p ) {
           s._remove_source( p );
+          
+          if ( s.options.implicit && s.sources.length < 2 ) {
+            // Drop implicit union created by _add_source(), no longer needed
+            this.source = s.sources[ 0 ];
+            
+            s.sources = [];
+            s.destination = u;
+          }
         } else {
           this.source = u;
         }
@@ -857,8 +1013,16 @@
       var u, d = this.destination;
       
       if ( d ) {
-        if ( d instanceof Fork ) {
+        if ( d instanceof Fork && d !== p ) {
           d._remove_destination( p );
+          
+          if ( d.options.implicit && d.destinations.length < 2 ) {
+            // Drop implicit fork created by _add_destination(), no longer needed
+            this.destination = d.destinations[ 0 ];
+            
+            d.destinations = [];
+            d.source = u;
+          }
         } else {
           this.destination = u;
         }
@@ -869,11 +1033,222 @@
       return this;
     }, // _remove_destination()
     
+    /* ------------------------------------------------------------------------
+       dispose( [ options ] )
+       
+       Tears down this pipelet, allowing it to be garbage collected:
+         - disconnects it from all its destinations and sources, dropping
+           implicit forks and unions created by _add_destination() and
+           _add_source() once no longer needed.
+         - releases resources held by this pipelet, see _release().
+         - disposes upstream pipelets left without any destination, walking up
+           the chain built with the fluent API. Pipelets without a source, such
+           as the set at the head of a chain, are only disconnected.
+       
+       Parameters:
+         - options: (Object) optional:
+           - upstream: (Boolean) false to not dispose upstream pipelets,
+                       default is true.
+       
+       Example: discard a view
+         var view = sales.filter( is_in_usa ).order( by_date ).table( '#sales' );
+         
+         // later
+         view.dispose(); // also disposes the filter and the order, not sales
+    */
+    dispose: function( options ) {
+      var sources = this._sources(), destinations = this._destinations(), i, s;
+      
+      de&&ug( 'dispose(), sources: ' + sources.length + ', destinations: ' + destinations.length );
+      
+      for ( i = destinations.length; i; ) destinations[ --i ].remove_source( this );
+      
+      for ( i = sources.length; i; ) this.remove_source( sources[ --i ] );
+      
+      this._release();
+      
+      if ( options && options.upstream === false ) return this;
+      
+      for ( i = -1; ++i < sources.length; ) {
+        s = sources[ i ];
+        
+        s instanceof Pipelet
+          && s._sources().length
+          && ! s._destinations().length
+          && s.dispose( options )
+        ;
+      }
+      
+      return this;
+    }, // dispose()
+    
+    /* ------------------------------------------------------------------------
+       _release()
+       
+       Releases resources held by this pipelet, called by dispose() once
+       disconnected.
+       
+       This method should be overloaded by derived classes holding resources
+       such as timers, file watchers, servers, DOM nodes, or internal
+       pipelets connected to other sets. Overloaded methods should call the
+       _release() method of their parent class.
+    */
+    _release: function() {
+      return this;
+    }, // _release()
+    
+    /* ------------------------------------------------------------------------
+       _sources()
+       
+       Returns an Array of the sources of this pipelet, the sources of its
+       implicit union if any.
+    */
+    _sources: function() {
+      var s = this.source;
+      
+      if ( ! s ) return [];
+      
+      return s instanceof Union && s.options.implicit ? s.sources.slice( 0 ) : [ s ];
+    }, // _sources()
+    
+    /* ------------------------------------------------------------------------
+       _destinations()
+       
+       Returns an Array of the destinations of this pipelet, the destinations
+       of its implicit fork if any.
+    */
+    _destinations: function() {
+      var d = this.destination;
+      
+      if ( ! d ) return [];
+      
+      return d instanceof Fork && d.options.implicit ? d.destinations.slice( 0 ) : [ d ];
+    }, // _destinations()
+    
+    /* ------------------------------------------------------------------------
+       _batch( action, objects [, options ] )
+       
+       Buffers operations which 'more' option is true, until an operation
+       without the 'more' option terminates the transaction, then applies
+       buffered operations as one coalesced change, see Pipelet.coalesce().
+       
+       Coalesced actions are applied by calling this[ action ]() with the
+       options of the terminating operation, adding the 'more' option to all
+       but the last action. Their metadata are merged from the metadata of
+       all buffered operations, the first operation taking precedence.
+       
+       This method is used by pipelets which process transactions more
+       efficiently as a whole, at the top of their add(), remove(), update()
+       and clear() methods:
+         
+         add: function( added, options ) {
+           if ( this._batch( 'add', added, options ) ) return this;
+           
+           // process added
+         }
+       
+       Parameters:
+         - action : (String) 'add', 'remove', 'update', or 'clear'
+         - objects: (Array) values or updates, undefined for clear
+         - options: (Object) options of the operation
+       
+       Returns true if the operation was buffered or applied as part of a
+       coalesced change, false if the operation should be processed by the
+       caller because it is not part of a transaction.
+    */
+    _batch: function( action, objects, options ) {
+      if ( this._batch_applying ) return false;
+      
+      var batched = this._batched;
+      
+      if ( options && options.more ) {
+        ( batched || ( this._batched = [] ) ).push( { action: action, objects: objects, options: options } );
+        
+        return true;
+      }
+      
+      if ( ! batched ) return false;
+      
+      batched.push( { action: action, objects: objects, options: options } );
+      
+      this._batched = u;
+      
+      var that = this
+        , actions = Pipelet.coalesce( batched, function( v ) { return that.make_key( v ) } )
+        , l = actions.length
+        , metadata = {}
+        , i
+      ;
+      
+      // Merge metadata of all operations, the first operation providing the transaction metadata
+      for ( i = batched.length; i; ) extend( metadata, batched[ --i ].options && batched[ i ].options.metadata );
+      
+      if ( ! is_empty( metadata ) ) options = extend( {}, options, { metadata: metadata } );
+      
+      var more = extend( {}, options, { more: true } );
+      
+      de&&ug( '_batch(), operations: ' + batched.length + ', coalesced actions: ' + l );
+      
+      this._batch_applying = true;
+      
+      try {
+        for ( i = -1; ++i < l; ) {
+          var a = actions[ i ], _options = i < l - 1 ? more : options;
+          
+          a.action === 'clear' ? this.clear( _options ) : this[ a.action ]( a.objects, _options );
+        }
+      } finally {
+        this._batch_applying = false;
+      }
+      
+      return true;
+    }, // _batch()
+    
+    /* ------------------------------------------------------------------------
+       _emit_transaction( operations [, options ] )
+       
+       Emits operations as one transaction, adding the 'more' option to all
+       but the last operation, with options forwarded using
+       Pipelet.forward_options().
+       
+       Operations with no values are not emitted. If no operation has values,
+       options do not have the 'more' option, and the last operation emitted
+       by this pipelet had the 'more' option, an empty add is emitted to
+       terminate the transaction downstream, so that downstream pipelets
+       batching transactions, see _batch(), do not wait for it forever.
+       
+       Parameters:
+         - operations: (Array) of operations, each an Array [ method, values ]
+                       where method is called on this with values and options,
+                       e.g. [ [ this.emit_remove, removed ], [ this.emit_add, added ] ]
+         - options   : (Object) options of the operation received from the source
+    */
+    _emit_transaction: function( operations, options ) {
+      for ( var emitted = [], i = -1, l = operations.length; ++i < l; ) {
+        operations[ i ][ 1 ].length && emitted.push( operations[ i ] );
+      }
+      
+      options = Pipelet.forward_options( options );
+      
+      if ( ! ( l = emitted.length ) ) {
+        this._more && ! options.more && this.emit_add( [], options );
+        
+        return this;
+      }
+      
+      var more = extend( {}, options, { more: true } );
+      
+      for ( i = -1; ++i < l; ) emitted[ i ][ 0 ].call( this, emitted[ i ][ 1 ], i < l - 1 ? more : options );
+      
+      return this;
+    }, // _emit_transaction()
+    
     /* ------------------------------------------------------------------------
        make_key( object )
        
        Use this.key to generate code JIT to return a unique a string for an
-       object based on the key coordinates concatenation separated with '#'.
+       object based on the key coordinates concatenation separated with '#',
+       see key_part().
        
        Parameters:
          object: an object which key is requested.
@@ -881,11 +1256,11 @@
     make_key: function( o ) {
       var key = this.key, l = key.length, code = [];
       
-      for ( var i = -1; ++i < l; ) code.push( 'o.' + key[ i ] );
+      for ( var i = -1; ++i < l; ) code.push( 'key_part( o.' + key[ i ] + ' )' );
       
       eval( new Code()
         ._function( 'this.make_key', null, [ 'o' ] )
-          .add( "return '' + " + code.join( " + '#' + " ) )
+          .add( "return " + code.join( " + '#' + " ) )
         .end( 'make_key()' )
         .get()
       );
@@ -952,7 +1327,210 @@
     
     return { removed: removed, added: added };
   }; // split_updates()
+  
+  /* -------------------------------------------------------------------------------------------
+     Pipelet.revert_action( action )
+     
+     Returns the inverse of a transaction action, used to rollback transactions:
+       - add becomes remove
+       - remove becomes add
+       - update is reverted, i.e. previous and new values are swapped
+     
+     Parameters:
+       - action: (Object) transaction action with attributes:
+         - action : (String) 'add', 'remove', or 'update'
+         - objects: (Array) of values for 'add' and 'remove', of updates for 'update'
+     
+     Returns a new action object with attributes action and objects.
+  */
+  Pipelet.revert_action = function( action ) {
+    var objects = action.objects;
+    
+    switch( action.action ) {
+      case 'add'   : return { action: 'remove', objects: objects };
+      case 'remove': return { action: 'add'   , objects: objects };
+      
+      case 'update':
+        for ( var i = -1, l = objects.length, reverted = []; ++i < l; ) {
+          var update = objects[ i ];
+          
+          reverted.push( [ update[ 1 ], update[ 0 ] ] );
+        }
+        
+        return { action: 'update', objects: reverted };
+    }
+    
+    throw new Error( "Pipelet.revert_action(), unsupported action: " + action.action );
+  }; // revert_action()
    
+  /* -------------------------------------------------------------------------------------------
+     Pipelet.metadata( [ options [, defaults ] ] )
+     
+     Attaches a metadata envelope to the options of an operation entering a pipeline.
+     
+     Returns options if they already hold a complete metadata envelope, otherwise returns a
+     shallow copy of options which metadata attribute has the following attributes:
+       - transaction_id: (String) unique transaction id, generated if not provided
+       - time          : (Number) time of the operation in milliseconds since epoch, set to the
+                         current time if not provided
+       - user_id       : optional, the id of the user who originated the operation
+       - other attributes provided by defaults or the metadata of options
+     
+     Parameters:
+       - options : (Object) options of the operation, which metadata may be partially provided,
+                   e.g. { metadata: { user_id: 'john' } }
+       - defaults: (Object) default metadata attributes, e.g. the metadata option of a Set
+  */
+  var transactions_count = 0;
+  
+  Pipelet.metadata = function( options, defaults ) {
+    var metadata = options && options.metadata;
+    
+    if ( metadata && metadata.transaction_id !== u && metadata.time !== u ) return options;
+    
+    metadata = extend( {}, defaults, metadata );
+    
+    var now = new Date().getTime();
+    
+    if ( metadata.transaction_id === u ) {
+      metadata.transaction_id = now.toString( 36 ) + '-' + ( ++transactions_count ).toString( 36 )
+        + '-' + Math.random().toString( 36 ).substr( 2, 6 )
+      ;
+    }
+    
+    if ( metadata.time === u ) metadata.time = now;
+    
+    return extend( {}, options, { metadata: metadata } );
+  }; // metadata()
+  
+  /* -------------------------------------------------------------------------------------------
+     Pipelet.forward_options( [ options [, emitted ] ] )
+     
+     Returns options to emit downstream, for pipelets which emit values at different positions
+     than those of their source, or which provide their own positions.
+     
+     All options, including 'more' and 'metadata', are forwarded except the 'locations' and
+     'moves' options which are only relevant for the values emitted by the source.
+     
+     Parameters:
+       - options: (Object) options of the operation received from the source
+       - emitted: (Object) options set by this pipelet, e.g. { locations: locations }
+  */
+  Pipelet.forward_options = function( options, emitted ) {
+    var forwarded = {};
+    
+    for ( var name in options ) {
+      switch( name ) {
+        case 'locations': case 'moves': continue;
+      }
+      
+      forwarded[ name ] = options[ name ];
+    }
+    
+    return extend( forwarded, emitted );
+  }; // forward_options()
+  
+  /* -------------------------------------------------------------------------------------------
+     Pipelet.coalesce( operations, make_key )
+     
+     Coalesces a sequence of operations into a minimal equivalent transaction, where each key
+     appears at most once, e.g. an add followed by a remove of the same value cancel each
+     other, a remove followed by an add of the same key become an update.
+     
+     Parameters:
+       - operations: (Array of Objects) in order of execution, with attributes:
+         - action : (String) 'add', 'remove', 'update', or 'clear'
+         - objects: (Array) values for add and remove, updates for update
+       
+       - make_key: (Function) returns the key of a value as a string, e.g. Pipelet..make_key()
+     
+     Returns a transaction, as accepted by notify(), i.e. an Array of actions in the following
+     order, with empty actions omitted:
+       - { action: 'clear' } if there was a clear in operations, discarding all previous
+         operations
+       - { action: 'remove', objects: removed values }
+       - { action: 'update', objects: updates }
+       - { action: 'add'   , objects: added values }
+  */
+  Pipelet.coalesce = function( operations, make_key ) {
+    var keys = [], states = {}, clear = false, i, l, j, objects, ol;
+    
+    for ( i = -1, l = operations.length; ++i < l; ) {
+      var o = operations[ i ];
+      
+      objects = o.objects;
+      
+      switch( o.action ) {
+        case 'clear':
+          keys = [];
+          states = {};
+          clear = true;
+        break;
+        
+        case 'add':
+          for ( j = -1, ol = objects.length; ++j < ol; ) add( objects[ j ] );
+        break;
+        
+        case 'remove':
+          for ( j = -1, ol = objects.length; ++j < ol; ) remove( objects[ j ] );
+        break;
+        
+        case 'update':
+          for ( j = -1, ol = objects.length; ++j < ol; ) {
+            remove( objects[ j ][ 0 ] );
+            add   ( objects[ j ][ 1 ] );
+          }
+        break;
+      }
+    }
+    
+    var removed = [], updated = [], added = [], transaction = [];
+    
+    for ( i = -1, l = keys.length; ++i < l; ) {
+      var state = states[ keys[ i ] ], r = state.removed, a = state.added;
+      
+      if ( r !== u ) {
+        a !== u ? updated.push( [ r, a ] ) : removed.push( r );
+      } else if ( a !== u ) {
+        added.push( a );
+      }
+    }
+    
+    clear          && transaction.push( { action: 'clear' } );
+    removed.length && transaction.push( { action: 'remove', objects: removed } );
+    updated.length && transaction.push( { action: 'update', objects: updated } );
+    added  .length && transaction.push( { action: 'add'   , objects: added   } );
+    
+    return transaction;
+    
+    function get_state( v ) {
+      var k = make_key( v ), state = states[ k ];
+      
+      if ( state === u ) {
+        state = states[ k ] = { removed: u, added: u };
+        
+        keys.push( k );
+      }
+      
+      return state;
+    } // get_state()
+    
+    function add( v ) {
+      get_state( v ).added = v;
+    } // add()
+    
+    function remove( v ) {
+      var state = get_state( v );
+      
+      if ( state.added !== u ) {
+        // cancels a previous add, or the added value of a previous update
+        state.added = u;
+      } else if ( state.removed === u ) {
+        state.removed = v;
+      }
+    } // remove()
+  }; // coalesce()
+  
   /* -------------------------------------------------------------------------------------------
      Pipelet.add( name, pipelet )
      
@@ -1227,11 +1805,9 @@
          - options: optional object
     */
     emit_add: function( added, options ) {
-      var d = this.destinations, l = d.length;
-      
-      for ( var i = -1; ++i < l; ) d[ i ].add( added, options );
+      this._emitted = true; // see notify()
       
-      return this;
+      return this._emit_destinations( this.destinations, 'add', added, options );
     }, // emit_add()
     
     /* ------------------------------------------------------------------------
@@ -1245,11 +1821,9 @@
          - options: optional object
     */
     emit_remove: function( removed, options ) {
-      var d = this.destinations, l = d.length;
-      
-      for ( var i = -1; ++i < l; ) d[ i ].remove( removed, options );
+      this._emitted = true; // see notify()
       
-      return this;
+      return this._emit_destinations( this.destinations, 'remove', removed, options );
     }, // emit_remove()
     
     /* ------------------------------------------------------------------------
@@ -1265,11 +1839,9 @@
          - options: optional object
     */
     emit_update: function( updated, options ) {
-      var d = this.destinations, l = d.length;
-      
-      for ( var i = -1; ++i < l; ) d[ i ].update( updated, options );
+      this._emitted = true; // see notify()
       
-      return this;
+      return this._emit_destinations( this.destinations, 'update', updated, options );
     }, // emit_update()
     
     /* ------------------------------------------------------------------------
@@ -1281,11 +1853,7 @@
          - options: optional object
     */
     emit_clear: function( options ) {
-      var d = this.destinations, l = d.length;
-      
-      for ( var i = -1; ++i < l; ) d[ i ].clear( options );
-      
-      return this;
+      return this._emit_destinations( this.destinations, 'clear', u, options );
     }, // emit_clear()
     
     _add_destination: function( d ) {
@@ -1304,7 +1872,11 @@
       d.splice( p, 1 );
       
       return this;
-    } // _remove_destination()
+    }, // _remove_destination()
+    
+    _destinations: function() {
+      return this.destinations.slice( 0 );
+    } // _destinations()
   } ); // Fork.prototype
   
   /* -------------------------------------------------------------------------------------------
@@ -1331,25 +1903,36 @@
   Pipelet.build( 'union', Union, {
     /* ------------------------------------------------------------------------
        fetch( receiver )
+       
+       Fetches all sources, the last chunk is signaled once all sources have
+       delivered their last chunk, which may happen asynchronously.
     */
     fetch: function( receiver ) {
-      var u, sources = this.sources;
+      var u, sources = this.sources, l = sources.length, count = l + 1;
       
-      for ( var i = -1; ++i < sources.length; ) {
+      for ( var i = -1; ++i < l; ) {
         var source = sources[ i ];
         
         if ( source.fetch ) {
-          source.fetch( function( values ) {
-            values && values.length && receiver( values );
+          source.fetch( function( values, no_more, options ) {
+            values && values.length && receiver( values, false, options );
+            
+            no_more && done();
           } )
         } else {
           receiver( source );
+          
+          done();
         }
       }
       
-      receiver( u, true );
+      done();
       
       return this;
+      
+      function done() {
+        --count || receiver( u, true );
+      } // done()
     }, // fetch()
     
     _add_source: function( source ) {
@@ -1368,8 +1951,51 @@
       s.splice( source, 1 );
       
       return this;
-    } // _remove_source()
-  } ); // Union.prototype
+    }, // _remove_source()
+    
+    _sources: function() {
+      return this.sources.slice( 0 );
+    } // _sources()
+  } ); // Union.prototype
+  
+  /* -------------------------------------------------------------------------------------------
+     batch( [ options ] )
+     
+     Buffers operations which 'more' option is true, until an operation without the 'more'
+     option terminates the transaction, then emits buffered operations as one coalesced change,
+     i.e. at most one remove, one update and one add, see Pipelet.coalesce().
+     
+     Operations which are not part of a transaction are forwarded immediately.
+     
+     This allows downstream pipelets, such as views, to process each transaction once, even
+     when its operations reach this pipelet by different paths.
+     
+     Example:
+       sales.batch().table( node, columns );
+  */
+  function Batch( options ) {
+    return Pipelet.call( this, options );
+  } // Batch()
+  
+  Pipelet.build( 'batch', Batch, {
+    add: function( added, options ) {
+      return this._batch( 'add', added, options ) ? this : this.emit_add( added, options );
+    }, // add()
+    
+    remove: function( removed, options ) {
+      return this._batch( 'remove', removed, options ) ? this : this.emit_remove( removed, options );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      return this._batch( 'update', updates, options ) ? this : this.emit_update( updates, options );
+    }, // update()
+    
+    clear: function( options ) {
+      var u;
+      
+      return this._batch( 'clear', u, options ) ? this : this.emit_clear( options );
+    } // clear()
+  } ); // Batch instance methods
   
   /* -------------------------------------------------------------------------------------------
      Set( [values], [options] )
@@ -1387,6 +2013,19 @@
          - auto_increment_start: (Integer) if auto_increment, used to start the sequence,
                                  default is zero which will start at 1 because it is
                                  pre-incremented.
+         - chunk_size: (Integer) if set, fetch() delivers content in chunks of at most
+                       chunk_size values, asynchronously, see fetch().
+         - chunk_delay: (Integer) delay in milliseconds between chunks, default is zero.
+         - metadata: (Object) default metadata attributes, such as user_id, for operations
+                     entering the pipeline at this set, see Pipelet.metadata().
+         - indexes: (Array) secondary indexes, each index is an attribute name, or an Array
+                    of attribute names for a composite index, see lookup().
+         - unique: (Boolean or String) if set, adds of values which key is already in the set
+                   are duplicates, handled according to the policy set by this option:
+                   - 'reject' (or true): duplicates are discarded
+                   - 'update': duplicates update the value with the same key
+                   - 'conflict': duplicates are discarded and reported to the conflicts
+                                 detector of the set, if any, see conflicts()
   */
   function Set( a, options ) {
     var u;
@@ -1398,6 +2037,12 @@
      
     options = Pipelet.call( this, options ).options;
     
+    switch( options.unique ) {
+      case u: case false: case true: case 'reject': case 'update': case 'conflict': break;
+      
+      default: throw new Error( "Set(), invalid unique policy: " + options.unique );
+    }
+    
     if ( this.auto_increment = options.auto_increment ) {
       if ( this.auto_increment === true ) this.auto_increment = 'id';
       
@@ -1407,6 +2052,16 @@
     this.a = []; // The current state of the set
     this.b = []; // Anti-state, used to store removes waiting for adds and conflict resolution
     
+    this.key_indexes = {}; // Key indexes of a and b, built by make_key_index()
+    
+    this.indexes = {}; // Secondary indexes by name, see make_indexes()
+    
+    options.indexes && this.make_indexes( options.indexes );
+    
+    this.anti_state_destination = u; // No conflicts detector yet, see emit_anti_state()
+    
+    this.fetching = []; // Chunked fetches in progress, see fetch()
+    
     a && this.add( a )
     
     de&&ug( "New Set, name: " + options.name + ", length: " + this.a.length );
@@ -1416,6 +2071,76 @@
   
   Pipelet.build( 'set', Set );
   
+  /* -------------------------------------------------------------------------------------------
+     Key index positions
+     
+     Positions held in Set key indexes are not updated when values are removed, which would
+     require to update the positions of all following values. Removed indexed positions are
+     recorded instead, in ascending order, allowing to convert between indexed and current
+     positions in O( log( removed ) ).
+     
+     count_before( removed, position )
+       Returns the number of removed indexed positions lower than position.
+     
+     current_position( removed, indexed_position )
+       Returns the current position of a value, from its indexed position.
+     
+     indexed_position( removed, current_position )
+       Returns the indexed position of a value, from its current position.
+  */
+  function count_before( removed, p ) {
+    var lo = 0, hi = removed.length, m;
+    
+    while ( lo < hi ) {
+      if ( removed[ m = ( lo + hi ) >> 1 ] < p ) {
+        lo = m + 1;
+      } else {
+        hi = m;
+      }
+    }
+    
+    return lo;
+  } // count_before()
+  
+  function current_position( removed, b ) {
+    return removed.length ? b - count_before( removed, b ) : b;
+  } // current_position()
+  
+  function indexed_position( removed, p ) {
+    var l = removed.length;
+    
+    if ( ! l || p < 0 ) return p;
+    
+    // Smallest indexed position b such that b - count_before( removed, b + 1 ) === p
+    for ( var b = p, c = 0, n; ( n = count_before( removed, b + 1 ) ) !== c; b = p + n ) c = n;
+    
+    return b;
+  } // indexed_position()
+  
+  /* -------------------------------------------------------------------------------------------
+     key_part( value )
+     
+     Returns the part of a key string for the value of a key attribute, see make_key().
+     
+     Strings are prefixed with a quote and their '#' and backslash characters are escaped, so
+     that the string '1' does not collide with the number 1, and that the '#' separator of
+     composite keys is not ambiguous, e.g. { a: 'x#y', b: 'z' } and { a: 'x', b: 'y#z' }.
+  */
+  function key_part( v ) {
+    return typeof v === 'string' ? "'" + v.replace( /[#\\]/g, '\\$&' ) : '' + v;
+  } // key_part()
+  
+  /* -------------------------------------------------------------------------------------------
+     is_empty( object )
+     
+     Returns true if object has no enumerable attribute.
+  */
+  function is_empty( o ) {
+    for ( var p in o ) return false;
+    
+    return true;
+  } // is_empty()
+  
   /* -------------------------------------------------------------------------------------------
      Set instance methods
   */
@@ -1425,23 +2150,168 @@
        
        Fetches set content, possibly in several chunks.
        
+       If the chunk_size option is set and the set holds more values, the
+       first chunk is delivered immediately and following chunks are
+       delivered asynchronously, every chunk_delay milliseconds, allowing
+       destinations to process the first values quickly.
+       
+       Values are not chunked when fetched by fetch_all(), from this set or
+       from a pipelet downstream, which is then synchronous.
+       
+       Chunks are taken from a copy of the set made when fetch() is called.
+       If the set is modified, or fetched again, before the last chunk is
+       delivered, remaining chunks are delivered first, see _fetch_flush(),
+       so that destinations receive the operation after the entire content it
+       applies to.
+       
        See Pipelet.fetch() for receiver documentation.
     */
     fetch: function( receiver ) {
-      receiver( this.a, true );
+      this.fetching.length && this._fetch_flush();
       
-      return this;
+      var a = this.a, chunk_size = this.options.chunk_size;
+      
+      if ( ! chunk_size || fetching_all || a.length <= chunk_size ) {
+        receiver( a, true );
+        
+        return this;
+      }
+      
+      var fetch = { values: a.slice( 0 ), position: 0, receiver: receiver, timer: null };
+      
+      this.fetching.push( fetch );
+      
+      return this._fetch_chunk( fetch );
     }, // fetch()
     
     /* ------------------------------------------------------------------------
-       clear()
+       fetch_all( [ receiver ] )
+       
+       Fetches the entire content of the set, synchronously, even if the
+       chunk_size option is set.
+       
+       See Pipelet.fetch_all() for details.
+    */
+    fetch_all: function( receiver ) {
+      if ( this.fetch !== Set.prototype.fetch ) return Pipelet.prototype.fetch_all.call( this, receiver );
+      
+      var out = this.a.slice( 0 );
+      
+      receiver && receiver( out, true );
+      
+      return out;
+    }, // fetch_all()
+    
+    /* ------------------------------------------------------------------------
+       _fetch_chunk( fetch [, all ] )
+       
+       Delivers the next chunk of a chunked fetch, then schedules the delivery
+       of the following chunk, if any.
+       
+       Parameters:
+         - fetch: (Object) chunked fetch in progress, from this.fetching
+         - all  : (Boolean) if true, deliver all remaining values
+    */
+    _fetch_chunk: function( fetch, all ) {
+      var values = fetch.values, l = values.length, p = fetch.position
+        , n = all ? l - p : Math.min( this.options.chunk_size, l - p )
+        , no_more = ( fetch.position = p + n ) === l
+        , that = this
+      ;
+      
+      if ( no_more ) {
+        this.fetching.splice( this.fetching.indexOf( fetch ), 1 );
+      } else {
+        fetch.timer = setTimeout( function() {
+          fetch.timer = null;
+          
+          that._fetch_chunk( fetch );
+        }, this.options.chunk_delay || 0 );
+      }
+      
+      de&&ug( '_fetch_chunk(), position: ' + p + ', count: ' + n + ', no_more: ' + no_more );
+      
+      fetch.receiver( values.slice( p, p + n ), no_more, this._fetch_options( p, n ) );
+      
+      return this;
+    }, // _fetch_chunk()
+    
+    /* ------------------------------------------------------------------------
+       _fetch_flush()
+       
+       Delivers all remaining chunks of all chunked fetches in progress.
+       
+       Must be called before modifying or fetching the set.
+    */
+    _fetch_flush: function() {
+      for ( var fetching = this.fetching, fetch; fetch = fetching[ 0 ]; ) {
+        clearTimeout( fetch.timer );
+        
+        fetch.timer = null;
+        
+        this._fetch_chunk( fetch, true );
+      }
+      
+      return this;
+    }, // _fetch_flush()
+    
+    /* ------------------------------------------------------------------------
+       _fetch_options( position, count )
+       
+       Returns the options of a chunk of count values fetched at position, or
+       undefined. Overloaded by Order to provide locations of fetched values.
+    */
+    _fetch_options: function( position, count ) {
+      return u;
+    }, // _fetch_options()
+    
+    /* ------------------------------------------------------------------------
+       _release()
+       
+       Stops chunked fetches in progress, disposes the conflicts detector of
+       this set, if any, and frees the state and anti-state of this set.
+    */
+    _release: function() {
+      for ( var fetching = this.fetching, i = -1, l = fetching.length; ++i < l; ) clearTimeout( fetching[ i ].timer );
+      
+      this.fetching = [];
+      
+      this.anti_state_destination && this.anti_state_destination.dispose();
+      
+      this.a = [];
+      this.b = [];
+      
+      this.key_indexes = {};
+      
+      this._index_clear();
+      
+      return Pipelet.prototype._release.call( this );
+    }, // _release()
+    
+    /* ------------------------------------------------------------------------
+       _metadata( [ options ] )
+       
+       Attaches a metadata envelope to options of operations entering the
+       pipeline at this set, using the metadata option of this set as defaults.
+       
+       Options of operations from upstream pipelets already hold metadata and
+       are returned unchanged.
+    */
+    _metadata: function( options ) {
+      return Pipelet.metadata( options, this.options.metadata );
+    }, // _metadata()
+    
+    /* ------------------------------------------------------------------------
+       clear( [ options ] )
        
        Clears content then notifes downsteam Pipelets.
     */
-    clear: function() {
+    clear: function( options ) {
+      this.fetching.length && this._fetch_flush();
+      
       this.a = [];
       
-      return this.emit_clear();
+      return this.emit_clear( this._metadata( options ) );
     }, // get()
     
     /* ------------------------------------------------------------------------
@@ -1449,13 +2319,18 @@
        
        Add values to the set then notifies downsteam Pipelets.
        
-       ToDo: should we test for double insertion? This could happen if two
-         adds on the same key would be separated by a remove that would
-         come later because the order of operations is not guarantied.
+       Double insertions, which could happen if two adds on the same key
+       would be separated by a remove that would come later because the order
+       of operations is not guarantied, are only detected if the unique option
+       is set, see _unique().
     */
     add: function( values, options ) {
       var auto_increment = this.auto_increment, i, l = values.length;
       
+      this.fetching.length && this._fetch_flush();
+      
+      options = this._metadata( options );
+      
       if ( auto_increment ) {
         var auto_increment_value = this.auto_increment_value;
         
@@ -1469,7 +2344,7 @@
       if ( this.b.length ) {
         // There are values in the anti-state b, waiting for an add or
         // update, or conflict resolution
-        var added = [], removed = [];
+        var added = [], resolved = [];
         
         for ( i = -1; ++i < l; ) {
           var v = values[ i ]
@@ -1477,23 +2352,101 @@
           ;
           
           if ( p === -1 ) {
-            this.a.push( v );
-            
             added.push( v );
           } else {
             // Remove this add from the anti-state
-            this.b.splice( p, 1 );
+            resolved.push( this.b[ p ] );
+            
+            this._splice( 'b', [ p ] );
           }
         }
         
-        values = added; 
-      } else {
-        push.apply( this.a, values );
+        values = added;
+        
+        this.emit_anti_state( [], resolved, options );
       }
       
-      return values.length ? this.emit_add( values, options ) : this;
+      var unique = this._unique( values, options ), updates = unique.updates;
+      
+      this._push( 'a', values = unique.values );
+      
+      if ( updates.length ) {
+        values.length && this.emit_add( values, extend( {}, options, { more: true } ) );
+        
+        return this.update( updates, options );
+      }
+      
+      // An empty add terminating a transaction is forwarded, see _emit_transaction()
+      return values.length || ( this._more && ! ( options && options.more ) ) ? this.emit_add( values, options ) : this;
     }, // add()
     
+    /* ------------------------------------------------------------------------
+       _unique( values [, options ] )
+       
+       Detects duplicates in added values, i.e. values which key is already in
+       the set or in a previous added value, and handles them according to the
+       policy of the unique option. Does nothing if this option is not set.
+       
+       Duplicates reported as conflicts are added to the conflicts detector
+       as operations with the 'add' action, see emit_anti_state(), which are
+       not stored in the anti-state.
+       
+       Returns an object with attributes:
+         - values : (Array) values to add
+         - updates: (Array) updates of values with the same key as duplicates,
+                    for the 'update' policy
+    */
+    _unique: function( values, options ) {
+      var policy = this.options.unique;
+      
+      if ( ! policy ) return { values: values, updates: [] };
+      
+      var added = [], updates = [], conflicts = []
+        , positions = {} // positions of keys in added or updates
+        , i, l, v, k, p
+      ;
+      
+      for ( i = -1, l = values.length; ++i < l; ) {
+        k = this.make_key( v = values[ i ] );
+        p = positions[ k ];
+        
+        if ( p === u && ( p = this.index_of( v ) ) === -1 ) {
+          positions[ k ] = { values: added, position: added.length };
+          
+          added.push( v );
+          
+          continue;
+        }
+        
+        switch( policy ) {
+          case 'update':
+            if ( typeof p === 'object' ) {
+              // Duplicate of a previous value in this add, the last value wins
+              if ( p.values === added ) {
+                added[ p.position ] = v;
+              } else {
+                updates[ p.position ][ 1 ] = v;
+              }
+            } else {
+              positions[ k ] = { values: updates, position: updates.length };
+              
+              updates.push( [ this.a[ p ], v ] );
+            }
+          break;
+          
+          case 'conflict':
+            conflicts.push( { action: 'add', value: v, objects: [ v ] } );
+          break;
+        }
+      }
+      
+      de&&ug( '_unique(), policy: ' + policy + ', duplicates: ' + ( l - added.length ) );
+      
+      this.emit_anti_state( conflicts, [], options );
+      
+      return { values: added, updates: updates };
+    }, // _unique()
+    
     /* ------------------------------------------------------------------------
        update( updates )
        
@@ -1504,6 +2457,12 @@
            first is the previous value, the second is the updated value.
     */
     update: function( updates, options ) {
+      var not_found = [], resolved = [];
+      
+      this.fetching.length && this._fetch_flush();
+      
+      options = this._metadata( options );
+      
       for ( var i = -1, l = updates.length, updated = [], added = []; ++i < l; ) {
         var o = updates[ i ]
           , p = this.index_of( o[ 0 ] )
@@ -1515,24 +2474,30 @@
           p = this._index_of( v );
           
           if ( p === -1 ) {
-            this.a.push( v );
+            this._push( 'a', [ v ] );
             
             added.push( v );
           } else {
             // There is a remove in the anti-state waiting for this add
-            this.b.slice( p, 1 );
+            resolved.push( this.b[ p ] );
+            
+            this._splice( 'b', [ p ] );
           }
           
-          this.b.push( o[ 0 ] );
+          this._push( 'b', [ o[ 0 ] ] );
+          
+          not_found.push( { action: 'update', value: o[ 0 ], objects: [ o ] } );
           
           continue;
         }
         
-        this.a[ p ] = v;
+        this._set( 'a', p, v );
         
         updated.push( o );
       }
       
+      this.emit_anti_state( not_found, resolved, options );
+      
       if ( added.length ) { // ToDo: not tested
         if ( updated.length ) {
           this.emit_add( added, extend( {}, options, { more: true } ) );
@@ -1550,38 +2515,92 @@
        remove( values )
        
        Remove values from the set then notify downsteam Pipelets
+       
+       All values are located before any is removed from the current state,
+       which is then compacted once using _splice().
     */
     remove: function( values, options ) {
-      for ( var i = -1, l = values.length, removed = []; ++i < l; ) {
+      this.fetching.length && this._fetch_flush();
+      
+      options = this._metadata( options );
+      
+      for ( var i = -1, l = values.length, removed = [], positions = [], found = {}, not_found = [], added; ++i < l; ) {
         var v = values[ i ]
           , p = this.index_of( v )
         ;
         
-        if ( p === -1 ) {
-          // Not found: add to anti-state
-          this.b.push( v );
+        if ( p === -1 || found[ p ] ) {
+          // Not found, or removed twice in this operation: add to anti-state
+          not_found.push( v );
         } else {
-          this.a.splice( p, 1 ); // could be faster on smaller arrays
+          found[ p ] = true;
+          
+          positions.push( p );
           
           removed.push( v );
         }
       }
       
+      positions.length && this._splice( 'a', positions.sort( function( a, b ) { return a - b } ) );
+      
+      if ( l = not_found.length ) {
+        this._push( 'b', not_found );
+        
+        for ( i = -1, added = []; ++i < l; ) {
+          v = not_found[ i ];
+          
+          added.push( { action: 'remove', value: v, objects: [ v ] } );
+        }
+        
+        this.emit_anti_state( added, [], options );
+      }
+      
       return this.emit_remove( removed, options );
     }, // remove()
     
+    /* ------------------------------------------------------------------------
+       emit_anti_state( added, removed [, options ] )
+       
+       Notifies the anti-state destination, if any, of values added to and
+       removed from the anti-state, used by conflicts() to detect conflicts.
+       
+       Does nothing if there is no anti-state destination or if both added
+       and removed are empty.
+       
+       Parameters:
+         - added: Array of operations which values could not find a matching
+           value and were added to the anti-state, or duplicate adds reported
+           as conflicts, see _unique(), each with attributes:
+           - action : (String) 'remove', 'update' or 'add'
+           - value  : (Object) the value added to the anti-state
+           - objects: (Array) the objects of the operation, [ value ] for a
+                      remove, [ [ previous, new ] ] for an update
+         
+         - removed: Array of values removed from the anti-state by a matching
+           add or update.
+         
+         - options: optional object, the options of the operation
+    */
+    emit_anti_state: function( added, removed, options ) {
+      var d = this.anti_state_destination;
+      
+      d && ( added.length || removed.length ) && d.anti_state( added, removed, options );
+      
+      return this;
+    }, // emit_anti_state()
+    
     /* ------------------------------------------------------------------------
        index_of( value )
        
        Lookup the position of a value in the set's current state.
        
-       Generate optimized code using make_index_of() during first call.
+       Uses the key index of the current state, see key_index().
        
        Returns:
          The position of the value in the set or -1 if not found.
     */
     index_of: function( v ) {
-      return this.make_index_of( 'a', 'index_of' ).index_of( v ); 
+      return this._position_of( 'a', v );
     }, // index_of()
     
     /* ------------------------------------------------------------------------
@@ -1589,78 +2608,510 @@
        
        Lookup the position of a vaue in the set's anti-state.
        
-       Generate optimized code using make_index_of() during first call.
+       Uses the key index of the anti-state, see key_index().
        
        Returns:
          The position of the value in the set or -1 if not found.
     */
     _index_of: function( v ) {
-      return this.make_index_of( 'b', '_index_of' )._index_of( v ); 
+      return this._position_of( 'b', v );
     }, // _index_of()
     
     /* ------------------------------------------------------------------------
-       make_index_of( state, method )
+       _position_of( state, value )
+       
+       Lookup the position of a value in this[ state ] using its key index.
+       
+       If the value found at the indexed position no longer has the same key,
+       the state has been modified directly, typically by a derived class
+       such as Order, the index is then rebuilt before looking up again.
+       
+       Parameters:
+         - state: (string) 'a' or 'b' for the current state or anti-state.
+         - value: (Object) the value to look for, only its key is used.
+       
+       Returns:
+         The position of the value in this[ state ] or -1 if not found.
+    */
+    _position_of: function( state, v ) {
+      var index = this.key_index( state )
+        , k = this.make_key( v )
+        , p = index.positions[ k ]
+      ;
+      
+      if ( p === u ) return -1;
+      
+      p = current_position( index.removed, p );
+      
+      if ( this.make_key( index.values[ p ] ) !== k ) {
+        index = this.make_key_index( state );
+        
+        p = index.positions[ k ];
         
-       JIT Code Generator for index_of() from this.key
+        if ( p === u ) return -1;
+      }
+      
+      return p;
+    }, // _position_of()
+    
+    /* ------------------------------------------------------------------------
+       key_index( state )
        
-       Generated code is tied to current key. Uses unrolled while for maximum
-       performance.
+       Returns the key index of the current state or anti-state of the set.
+       
+       The index is built by make_key_index() on first call and then
+       maintained by _push(), _set(), and _splice(). It is rebuilt if
+       this[ state ] has been replaced or its length changed by other means.
+       
+       Parameters:
+         - state: (string) 'a' or 'b' for the current state or anti-state.
+    */
+    key_index: function( state ) {
+      var index = this.key_indexes[ state ], values = this[ state ];
+      
+      if ( index && index.values === values && index.length === values.length ) return index;
+      
+      return this.make_key_index( state );
+    }, // key_index()
+    
+    /* ------------------------------------------------------------------------
+       make_key_index( state )
+       
+       Builds the key index of this[ state ], using make_key() JIT code to
+       generate keys for single and composite keys.
+       
+       When more than one value has the same key, the index holds the position
+       of the first one.
+       
+       Indexed positions are not updated when values are removed, removed
+       positions are recorded instead, see current_position(). The index is
+       rebuilt by _splice() when too many positions have been removed.
        
        Parameters:
-         - state: (string) 'a' or 'b' to reference the current state or anti-
-                  state of the set.
-         - method: (string) the name of the method to generate
+         - state: (string) 'a' or 'b' for the current state or anti-state.
+       
+       Returns the index, an object with attributes:
+         - values   : (Array) this[ state ], the indexed values
+         - length   : (Integer) the number of indexed values
+         - positions: (Object) the indexed position of the first value, by key
+         - counts   : (Object) the number of values, by key
+         - removed  : (Array of Integers) removed indexed positions, sorted
+    */
+    make_key_index: function( state ) {
+      var values = this[ state ], l = values.length
+        , positions = Object.create( null ), counts = Object.create( null ), k
+      ;
+      
+      for ( var i = -1; ++i < l; ) {
+        k = this.make_key( values[ i ] );
+        
+        if ( counts[ k ] ) {
+          counts[ k ] += 1;
+        } else {
+          counts[ k ] = 1;
+          
+          positions[ k ] = i;
+        }
+      }
+      
+      de&&ug( 'make_key_index(), name: ' + this.options.name + ', state: ' + state + ', length: ' + l );
+      
+      return this.key_indexes[ state ] = {
+        values   : values,
+        length   : l,
+        positions: positions,
+        counts   : counts,
+        removed  : []
+      };
+    }, // make_key_index()
+    
+    /* ------------------------------------------------------------------------
+       _key_position( values, key, from )
        
-       Other possible further optimization:
-         - split set array in smaller arrays,
-         - create an object for fast access to individual keys, a naive
-           implementation would be to use a single object but many benchmarcks
-           have proven this technique very slow. A better option would be to
-           use a tree possibly with hashed keys
+       Returns the position of the first value of values, starting at position
+       from, which key is key, or -1 if not found.
     */
-    make_index_of: function( state, method ) {
-      var key = this.key, l = key.length;
+    _key_position: function( values, k, p ) {
+      for ( var l = values.length; p < l; p++ ) if ( this.make_key( values[ p ] ) === k ) return p;
       
-      var vars = [ 'a = this.' + state, 'l = a.length', 'i = -1' ];
+      return -1;
+    }, // _key_position()
+    
+    /* ------------------------------------------------------------------------
+       _push( state, values )
+       
+       Appends values to this[ state ] maintaining its key index.
+       
+       This is a low-level method that does not notify downstream pipelets.
+       
+       Parameters:
+         - state : (string) 'a' or 'b' for the current state or anti-state.
+         - values: (Array) values to append
+    */
+    _push: function( state, values ) {
+      var l = values.length;
       
-      var first, inner, last;
+      if ( ! l ) return this;
       
-      if ( l > 1 ) {
-        vars.push( 'r' );
+      var index = this.key_index( state )
+        , a = index.values, positions = index.positions, counts = index.counts
+        , removed = index.removed.length
+        , v, k
+      ;
+      
+      for ( var i = -1; ++i < l; ) {
+        k = this.make_key( v = values[ i ] );
         
-        var tests = [], field;
+        if ( counts[ k ] ) {
+          counts[ k ] += 1;
+        } else {
+          counts[ k ] = 1;
+          
+          // All removed positions are before this one
+          positions[ k ] = a.length + removed;
+        }
         
-        for( var i = -1; ++i < l; ) {
-          field = key[ i ];
+        a.push( v );
+      }
+      
+      index.length = a.length;
+      
+      return this;
+    }, // _push()
+    
+    /* ------------------------------------------------------------------------
+       _set( state, position, value )
+       
+       Replaces the value at position in this[ state ] maintaining its key
+       index.
+       
+       This is a low-level method that does not notify downstream pipelets.
+       
+       Parameters:
+         - state   : (string) 'a' or 'b' for the current state or anti-state.
+         - position: (Integer) position of the value to replace
+         - value   : (Object) the new value
+    */
+    _set: function( state, p, v ) {
+      var index = this.key_index( state )
+        , a = index.values, positions = index.positions, counts = index.counts, removed = index.removed
+        , k0 = this.make_key( a[ p ] ), k = this.make_key( v ), b
+      ;
+      
+      a[ p ] = v;
+      
+      if ( k !== k0 ) {
+        // The key changed
+        b = indexed_position( removed, p );
+        
+        if ( --counts[ k0 ] ) {
+          // Other values have the previous key, locate the next one if this was the first
+          if ( positions[ k0 ] === b ) positions[ k0 ] = indexed_position( removed, this._key_position( a, k0, p + 1 ) );
+        } else {
+          delete counts[ k0 ];
+          delete positions[ k0 ];
+        }
+        
+        if ( counts[ k ] ) {
+          counts[ k ] += 1;
+          
+          if ( positions[ k ] > b ) positions[ k ] = b;
+        } else {
+          counts[ k ] = 1;
           
-          tests.push( ( i === 0 ? '( r = a[ ++i ] ).' : 'r.' ) + field + ' === _' + field );
+          positions[ k ] = b;
         }
+      }
+      
+      return this;
+    }, // _set()
+    
+    /* ------------------------------------------------------------------------
+       _splice( state, positions )
+       
+       Removes values at positions from this[ state ] maintaining its key
+       index.
+       
+       The positions of following values are not updated in the index,
+       removed positions are recorded instead until there are too many of
+       them, or too many values are removed at once, and the index is then
+       rebuilt.
+       
+       This is a low-level method that does not notify downstream pipelets.
+       
+       Parameters:
+         - state    : (string) 'a' or 'b' for the current state or anti-state.
+         - positions: (Array of Integers) unique positions of values to remove
+                      in ascending order
+    */
+    _splice: function( state, positions ) {
+      var l = positions.length;
+      
+      if ( ! l ) return this;
+      
+      var index = this.key_index( state )
+        , a = index.values, counts = index.counts, removed = index.removed
+        , i, p, k, b
+      ;
+      
+      if ( l > 32 ) {
+        // Compact in a single pass then rebuild the index
+        for ( var j = i = positions[ 0 ], r = 0, n = a.length; i < n; i++ ) {
+          if ( i === positions[ r ] ) {
+            r += 1;
+          } else {
+            a[ j++ ] = a[ i ];
+          }
+        }
+        
+        a.length = j;
+        
+        this.make_key_index( state );
+        
+        return this;
+      }
+      
+      // Remove from last to first position, so that positions not yet removed remain valid
+      for ( i = l; i; ) {
+        p = positions[ --i ];
+        k = this.make_key( a[ p ] );
+        b = indexed_position( removed, p );
         
-        first = 'if ( ' + tests.join( ' && ' ) + ' ) return i;';
+        removed.splice( count_before( removed, b ), 0, b );
+        
+        a.splice( p, 1 );
+        
+        if ( --counts[ k ] ) {
+          // Other values have this key, locate the next one if this was the first
+          if ( index.positions[ k ] === b ) index.positions[ k ] = indexed_position( removed, this._key_position( a, k, p ) );
+        } else {
+          delete counts[ k ];
+          delete index.positions[ k ];
+        }
+      }
+      
+      index.length = a.length;
+      
+      if ( removed.length > 64 && removed.length * 16 > a.length ) this.make_key_index( state );
+      
+      return this;
+    }, // _splice()
+    
+    /* ------------------------------------------------------------------------
+       make_indexes( indexes )
+       
+       Creates secondary indexes, then indexes the current state. Indexes are
+       maintained by emit_add(), emit_remove(), emit_update() and
+       emit_clear(), i.e. for all changes of the state notified downstream.
+       
+       Parameters:
+         - indexes: (Array) each index is an attribute name, or an Array of
+                    attribute names for a composite index.
+    */
+    make_indexes: function( indexes ) {
+      for ( var i = -1, l = indexes.length; ++i < l; ) {
+        var attributes = indexes[ i ], code = [];
+        
+        if ( typeof attributes === 'string' ) attributes = [ attributes ];
+        
+        for ( var j = -1, al = attributes.length; ++j < al; ) code.push( 'key_part( o.' + attributes[ j ] + ' )' );
+        
+        var index = this.indexes[ attributes.join( ',' ) ] = {
+          attributes: attributes,
+          values    : Object.create( null ), // Arrays of values by index key
+          keys      : Object.create( null ), // index keys by key
+          make_key  : u
+        };
+        
+        eval( new Code()
+          ._function( 'index.make_key', null, [ 'o' ] )
+            .add( "return " + code.join( " + '#' + " ) )
+          .end( 'index.make_key()' )
+          .get()
+        );
+        
+        this._index_values( index, this.a, [] );
+      }
+      
+      return this;
+    }, // make_indexes()
+    
+    /* ------------------------------------------------------------------------
+       find_index( attributes )
+       
+       Returns the secondary index on attributes, in any order, or undefined
+       if there is no such index.
+       
+       Parameters:
+         - attributes: (String) attribute name, or (Array of Strings) attribute
+                       names of a composite index.
+    */
+    find_index: function( attributes ) {
+      if ( typeof attributes === 'string' ) attributes = [ attributes ];
+      
+      var indexes = this.indexes, index = indexes[ attributes.join( ',' ) ];
+      
+      if ( index ) return index;
+      
+      attributes = attributes.slice( 0 ).sort().join( ',' );
+      
+      for ( var name in indexes ) {
+        index = indexes[ name ];
+        
+        if ( index.attributes.slice( 0 ).sort().join( ',' ) === attributes ) return index;
+      }
+      
+      return u;
+    }, // find_index()
+    
+    /* ------------------------------------------------------------------------
+       lookup( index, value )
+       
+       Returns an Array of the values of the current state which indexed
+       attributes have value, using a secondary index. Values are returned
+       in the order of the current state, e.g. the order of an Order.
+       
+       Parameters:
+         - index: (String) attribute name, or (Array of Strings) attribute
+                  names of a composite index, see option indexes.
+         - value: the value of the attribute, or (Array) the values of the
+                  attributes of a composite index, in the order of index.
+       
+       Example:
+         var sales = xs.set( { indexes: [ 'country', [ 'year', 'month' ] ] } );
+         
+         sales.lookup( 'country', 'Morocco' );
+         
+         sales.lookup( [ 'year', 'month' ], [ 2013, 1 ] );
+    */
+    lookup: function( attributes, value ) {
+      if ( typeof attributes === 'string' ) attributes = [ attributes ];
+      
+      var index = this.find_index( attributes ), k, values, out = [], i, l, indexed;
+      
+      if ( ! index ) throw new Error( "Set..lookup(), no index on " + attributes.join( ', ' ) + ", set: " + this.options.name );
+      
+      if ( attributes.length === 1 ) {
+        k = key_part( value );
       } else {
-        field = key[ 0 ];
+        // Concatenate values as index.make_key() does
+        for ( i = -1, l = attributes.length, indexed = index.attributes; ++i < l; ) {
+          k = ( i ? k + '#' : '' ) + key_part( value[ attributes.indexOf( indexed[ i ] ) ] );
+        }
+      }
+      
+      if ( ! ( values = index.values[ k ] ) ) return out;
+      
+      if ( ( l = values.length ) === 1 ) return [ values[ 0 ] ];
+      
+      // Values are indexed in the order of changes, sort them by position in the current state
+      var positions = [];
+      
+      for ( i = -1; ++i < l; ) positions.push( { p: this.index_of( values[ i ] ), v: values[ i ] } );
+      
+      positions.sort( function( a, b ) { return a.p - b.p } );
+      
+      for ( i = -1; ++i < l; ) out.push( positions[ i ].v );
+      
+      return out;
+    }, // lookup()
+    
+    /* ------------------------------------------------------------------------
+       _index_values( index, added, removed )
+       
+       Updates a secondary index with values added to and removed from the
+       current state. Removed values are located by key, so only their key
+       attributes are used.
+    */
+    _index_values: function( index, added, removed ) {
+      var values = index.values, keys = index.keys, i, l, j, k, ik, indexed;
+      
+      for ( i = -1, l = removed.length; ++i < l; ) {
+        k = this.make_key( removed[ i ] );
+        
+        if ( ( ik = keys[ k ] ) === u ) continue;
         
-        var test = 'a[ ++i ].' + field + ' === _' + field;
+        delete keys[ k ];
         
-        first = 'if ( ' + test;
-        inner = '|| ' + test;
-        last  = ') return i';
+        for ( indexed = values[ ik ], j = indexed.length; j; ) {
+          if ( this.make_key( indexed[ --j ] ) === k ) {
+            indexed.splice( j, 1 );
+            
+            break;
+          }
+        }
+        
+        indexed.length || delete values[ ik ];
       }
       
-      var code = new Code( method )
-        ._function( 'this.' + method, null, [ 'o' ] )
-          ._var( vars )
-          .vars_from_object( 'o', key ) // Local variables for key
-          .unrolled_while( first, inner, last )
-          .add( 'return -1' )
-        .end( method + '()' )
-        .get()
-      ;
+      for ( i = -1, l = added.length; ++i < l; ) {
+        var v = added[ i ];
+        
+        ik = keys[ this.make_key( v ) ] = index.make_key( v );
+        
+        ( values[ ik ] || ( values[ ik ] = [] ) ).push( v );
+      }
+      
+      return this;
+    }, // _index_values()
+    
+    /* ------------------------------------------------------------------------
+       _index( added, removed )
+       
+       Updates all secondary indexes, see _index_values().
+    */
+    _index: function( added, removed ) {
+      var indexes = this.indexes;
       
-      eval( code );
+      for ( var name in indexes ) this._index_values( indexes[ name ], added, removed );
       
       return this;
-    } // make_index_of()
+    }, // _index()
+    
+    /* ------------------------------------------------------------------------
+       _index_clear()
+       
+       Empties all secondary indexes.
+    */
+    _index_clear: function() {
+      var indexes = this.indexes;
+      
+      for ( var name in indexes ) {
+        indexes[ name ].values = Object.create( null );
+        indexes[ name ].keys   = Object.create( null );
+      }
+      
+      return this;
+    }, // _index_clear()
+    
+    emit_add: function( added, options ) {
+      this._index( added, [] );
+      
+      return Pipelet.prototype.emit_add.call( this, added, options );
+    }, // emit_add()
+    
+    emit_remove: function( removed, options ) {
+      this._index( [], removed );
+      
+      return Pipelet.prototype.emit_remove.call( this, removed, options );
+    }, // emit_remove()
+    
+    emit_update: function( updates, options ) {
+      for ( var i = -1, l = updates.length, removed = [], added = []; ++i < l; ) {
+        removed.push( updates[ i ][ 0 ] );
+        added  .push( updates[ i ][ 1 ] );
+      }
+      
+      this._index( added, removed );
+      
+      return Pipelet.prototype.emit_update.call( this, updates, options );
+    }, // emit_update()
+    
+    emit_clear: function( options ) {
+      this._index_clear();
+      
+      return Pipelet.prototype.emit_clear.call( this, options );
+    } // emit_clear()
   } ); // Set instance methods
   
   /* -------------------------------------------------------------------------------------------
@@ -1723,7 +3174,7 @@
   /* --------------------------------------------------------------------------
      module exports
   */
-  eval( XS.export_code( 'XS', [ 'Compose', 'Pipelet', 'Fork', 'Union', 'Set', 'xs' ] ) );
+  eval( XS.export_code( 'XS', [ 'Compose', 'Pipelet', 'Fork', 'Union', 'Batch', 'Set', 'xs' ] ) );
   
   de&&ug( "module loaded" );
 } )( this ); // pipelet.js
@@ -0,0 +1,174 @@
+/*  project.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './code.js' );
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Code     = XS.Code
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs project, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.project( attributes [, options ] )
+     
+     Copies selected attributes of values, possibly renaming them, discarding all other
+     attributes. Undefined attributes are not copied.
+     
+     Key attributes are always copied, with their name, so that downstream updates and removes
+     match projected values. Renaming an attribute as a key attribute throws an Error.
+     
+     Parameters:
+       - attributes: (Array) each attribute is either:
+         - (String) the name of a copied attribute
+         - (Object) { from: to } pairs, copying attribute 'from' as attribute 'to'
+       
+       - options: (Object) optional Pipelet options
+     
+     Example: strip internal attributes of customers and rename others before publishing:
+       customers.project( [ 'name', { country_code: 'country' } ] );
+       
+       // { id: 1, name: 'Ali', country_code: 'MA', password: '...' }
+       // -> { id: 1, name: 'Ali', country: 'MA' }
+  */
+  function Project( attributes, options ) {
+    Pipelet.call( this, options );
+    
+    this.make_transform( attributes );
+    
+    return this;
+  } // Project()
+  
+  Pipelet.build( 'project', Project, {
+    /* ------------------------------------------------------------------------
+       make_transform( attributes )
+       
+       Generates transform( values ) copying attributes in an unrolled loop.
+    */
+    make_transform: function( attributes ) {
+      var key = this.key, copied = {}, copies = [], from, u, i, l;
+      
+      for ( i = -1, l = attributes.length; ++i < l; ) {
+        var a = attributes[ i ];
+        
+        switch( typeof a ) {
+          case 'string':
+            copy( a, a );
+          break;
+          
+          case 'object':
+            if ( a !== null && ! ( a instanceof Array ) ) {
+              for ( from in a ) copy( from, a[ from ] );
+              
+              break;
+            }
+          // fall-through
+          
+          default:
+            throw new Error( "Project..make_transform(), invalid attribute: " + a );
+        }
+      }
+      
+      for ( i = -1, l = key.length; ++i < l; ) copied[ key[ i ] ] || copy( key[ i ], key[ i ] );
+      
+      var code = new Code( 'project..transform()' )
+        ._function( 'this.transform', u, [ 'values' ] )
+          ._var( 'u', 'out = []', 'i = -1', 'l = values.length', 'v', 'p', 'x' )
+          
+          ._while( '++i < l' )
+            .add( 'v = values[ i ]' )
+            .add( 'out.push( p = {} )' )
+      ;
+      
+      for ( i = -1, l = copies.length; ++i < l; ) code.add( copies[ i ] );
+      
+      code
+          .end()
+          
+          .add( 'return out' )
+        .end( 'transform()' )
+      ;
+      
+      eval( code.get() );
+      
+      de&&ug( 'make_transform(), attributes: ' + Object.keys( copied ).join( ', ' ) );
+      
+      return this;
+      
+      function copy( from, to ) {
+        if ( from !== to && key.indexOf( to ) !== -1 ) {
+          throw new Error( "Project..make_transform(), cannot rename " + from + " as key attribute " + to );
+        }
+        
+        copied[ to ] = true;
+        
+        copies.push( 'if ( ( x = v.' + from + ' ) !== u ) p.' + to + ' = x' );
+      } // copy()
+    }, // make_transform()
+    
+    add: function( values, options ) {
+      return this.emit_add( this.transform( values ), Pipelet.forward_options( options ) );
+    }, // add()
+    
+    remove: function( values, options ) {
+      return this.emit_remove( this.transform( values ), Pipelet.forward_options( options ) );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      var l = updates.length, previous = [], values = [], projected = [], i;
+      
+      for ( i = -1; ++i < l; ) {
+        previous.push( updates[ i ][ 0 ] );
+        values  .push( updates[ i ][ 1 ] );
+      }
+      
+      previous = this.transform( previous );
+      values   = this.transform( values   );
+      
+      for ( i = -1; ++i < l; ) projected.push( [ previous[ i ], values[ i ] ] );
+      
+      return this.emit_update( projected, Pipelet.forward_options( options ) );
+    } // update()
+  } ); // Project instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Project' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // project.js
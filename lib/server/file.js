@@ -26,6 +26,8 @@
     , log        = XS.log
     , extend     = XS.extend
     , Set        = XS.Set
+    , Snapshot   = require( '../snapshot.js' ).XS.Snapshot
+    , compact    = require( '../compact.js'  ).XS.compact
   ;
   
   /* -------------------------------------------------------------------------------------------
@@ -156,13 +158,162 @@
       }
       
       return this;
-    } // update()
+    }, // update()
+    
+    _release: function() {
+      for ( var a = this.a, i = -1, l = a.length; ++i < l; ) {
+        var watcher = a[ i ].watcher;
+        
+        watcher && watcher.close();
+      }
+      
+      return Set.prototype._release.call( this );
+    } // _release()
   } ); // Watch instance methods
   
+  /* -------------------------------------------------------------------------------------------
+     snapshot.write_file( file_name [, done ] )
+     
+     Writes a complete snapshot to a JSON file, see Snapshot..toJSON().
+     
+     Parameters:
+       - file_name: (String) the name of the file
+       - done     : (Function) optional, done( error ), called once the file is written
+  */
+  Snapshot.prototype.write_file = function( file_name, done ) {
+    var name = this.options.name;
+    
+    fs.writeFile( file_name, JSON.stringify( this ), 'utf8', function( error ) {
+      if ( error ) {
+        log( 'snapshot.write_file(), unable to write file "' + file_name + '", error: ' + log.s( error ) );
+      } else {
+        de&&ug( 'snapshot.write_file(), snapshot ' + name + ' written to "' + file_name + '"' );
+      }
+      
+      done && done( error );
+    } );
+    
+    return this;
+  }; // write_file()
+  
+  /* -------------------------------------------------------------------------------------------
+     Snapshot.read_file( file_name, [ options, ] done )
+     
+     Restores a snapshot written by write_file() into a new Set, see Snapshot.restore().
+     
+     Parameters:
+       - file_name: (String) the name of the file
+       - options  : (Object) optional options of the new Set
+       - done     : (Function) done( error, set ), called with the restored Set
+  */
+  Snapshot.read_file = function( file_name, options, done ) {
+    if ( typeof options === 'function' ) {
+      done = options;
+      options = {};
+    }
+    
+    fs.readFile( file_name, 'utf8', function( error, json ) {
+      var set;
+      
+      if ( error ) {
+        log( 'Snapshot.read_file(), unable to read file "' + file_name + '", error: ' + log.s( error ) );
+      } else {
+        try {
+          set = Snapshot.restore( json, options );
+        } catch( e ) {
+          error = e;
+        }
+      }
+      
+      done( error, set );
+    } );
+  }; // read_file()
+  
+  /* -------------------------------------------------------------------------------------------
+     compact_file( file_name, [ options, ] done )
+     
+     Compacts an operations log file written by a file persistence pipelet, see compact().
+     
+     The file holds one JSON object per line, either a versioning object with attributes
+     version, timestamp and next_id, or an operation with attributes id, timestamp, name and
+     objects. The compacted file starts with a single versioning object, preserving the
+     next_id of the log, followed by compacted operations. Compacted operations have no id
+     or timestamp unless options.keep_metadata is true, ids are then assigned on reload.
+     
+     The compacted log is first written to file_name + '.compacting' then renamed to
+     file_name, so that the original log is not lost if compaction fails.
+     
+     Parameters:
+       - file_name: (String) the name of the file
+       - options  : (Object) optional, options of compact()
+       - done     : (Function) done( error, count ), called once the file is compacted with
+                    the count of compacted operations
+  */
+  function compact_file( file_name, options, done ) {
+    if ( typeof options === 'function' ) {
+      done = options;
+      options = {};
+    }
+    
+    var temporary = file_name + '.compacting';
+    
+    fs.readFile( file_name, 'utf8', function( error, content ) {
+      if ( error ) return failed( 'unable to read file', error );
+      
+      var lines = content.split( '\n' ), operations = [], version = '0.0.1', next_id = 1, compacted;
+      
+      try {
+        for ( var i = -1, l = lines.length; ++i < l; ) {
+          var line = lines[ i ];
+          
+          if ( ! line ) continue;
+          
+          var o = JSON.parse( line );
+          
+          if ( o.version ) {
+            version = o.version;
+            
+            if ( o.next_id > next_id ) next_id = o.next_id;
+          } else {
+            if ( o.id >= next_id ) next_id = o.id + 1;
+            
+            operations.push( o );
+          }
+        }
+        
+        compacted = compact( operations, options );
+      } catch( e ) {
+        return failed( 'unable to compact file', e );
+      }
+      
+      lines = [ JSON.stringify( { version: version, timestamp: new Date().getTime(), next_id: next_id } ) ];
+      
+      for ( i = -1, l = compacted.length; ++i < l; ) lines.push( JSON.stringify( compacted[ i ] ) );
+      
+      fs.writeFile( temporary, lines.join( '\n' ) + '\n', 'utf8', function( error ) {
+        if ( error ) return failed( 'unable to write file', error );
+        
+        fs.rename( temporary, file_name, function( error ) {
+          if ( error ) return failed( 'unable to rename file', error );
+          
+          de&&ug( 'compact_file(), "' + file_name + '", operations: ' + operations.length + ', compacted: ' + compacted.length );
+          
+          done && done( null, compacted.length );
+        } );
+      } );
+    } );
+    
+    function failed( message, error ) {
+      log( 'compact_file(), ' + message + ' "' + file_name + '", error: ' + log.s( error ) );
+      
+      done && done( error );
+    } // failed()
+  } // compact_file()
+  
   /* --------------------------------------------------------------------------
      module exports
   */
-  eval( XS.export_code( 'XS', [ 'Watch' ] ) );
+  eval( XS.export_code( 'XS', [ 'Watch', 'compact_file' ] ) );
   
   de&&ug( "module loaded" );
 } )( this ); // file.js
@@ -132,6 +132,14 @@
       
       return this;
     },
+    
+    _release: function() {
+      for ( var a = this.a, i = -1; ++i < a.length; ) {
+        a[ i ].server.close();
+      }
+      
+      return Set.prototype._release.call( this );
+    }
   } ); // HTTP_Servers instance methods
   
   /* --------------------------------------------------------------------------
@@ -0,0 +1,309 @@
+/*  set_operations.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs set_operations, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     Set_Operation_Input( operation, other, options )
+     
+     Forwards operations of the other pipelet, the right side of a set operation, to
+     operation.
+  */
+  function Set_Operation_Input( operation, other, options ) {
+    Pipelet.call( this, options );
+    
+    this.operation = operation;
+    
+    return this.add_source( other );
+  } // Set_Operation_Input()
+  
+  Pipelet.subclass( Set_Operation_Input, {
+    add: function( values, options ) {
+      this.operation._change( 1, [], values, options );
+      
+      return this;
+    }, // add()
+    
+    remove: function( values, options ) {
+      this.operation._change( 1, values, [], options );
+      
+      return this;
+    }, // remove()
+    
+    update: function( updates, options ) {
+      for ( var previous = [], values = [], i = -1, l = updates.length; ++i < l; ) {
+        previous.push( updates[ i ][ 0 ] );
+        values  .push( updates[ i ][ 1 ] );
+      }
+      
+      this.operation._change( 1, previous, values, options );
+      
+      return this;
+    }, // update()
+    
+    clear: function( options ) {
+      this.operation._clear( 1, options );
+      
+      return this;
+    } // clear()
+  } ); // Set_Operation_Input instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     Set_Operation( other, options )
+     
+     Base class of except() and intersect(), a Set of the values of its source, the left
+     side, which membership depends on the presence of values with the same key in other, the
+     right side. Values are matched on the key of this pipelet, the key of the source by
+     default.
+     
+     A membership count is kept per key for each side, a value being present on a side while
+     its count is positive. Removes received before their add make counts negative until the
+     matching add. Emitted values are the last values added by the source for each key.
+     
+     Derived classes define is_member( counts ) which returns true if a key which counts are
+     [ left count, right count ] is a member of this set.
+     
+     Changes of either side are emitted as one transaction of removes of values no longer
+     members, updates of values of the source which remain members, and adds of new members.
+  */
+  function Set_Operation( other, options ) {
+    this.counts = Object.create( null ); // [ left count, right count ] by key
+    this.values = Object.create( null ); // last value of the source by key
+    
+    Set.call( this, [], options );
+    
+    this.other = new Set_Operation_Input( this, other, options );
+    
+    return this;
+  } // Set_Operation()
+  
+  Set.subclass( Set_Operation, {
+    /* ------------------------------------------------------------------------
+       _count( side, values, increment, touched, keys )
+       
+       Adds increment to the counts of values on side, 0 for the source, 1 for
+       the other pipelet. Keys touched for the first time are pushed to keys,
+       and their membership and value before this change are set in touched.
+    */
+    _count: function( side, values, increment, touched, keys ) {
+      var counts = this.counts, found = this.values;
+      
+      for ( var i = -1, l = values.length; ++i < l; ) {
+        var v = values[ i ], k = this.make_key( v ), c = counts[ k ] || ( counts[ k ] = [ 0, 0 ] );
+        
+        if ( ! touched[ k ] ) {
+          touched[ k ] = { member: this.is_member( c ), value: found[ k ] };
+          
+          keys.push( k );
+        }
+        
+        c[ side ] += increment;
+        
+        if ( side === 0 ) {
+          if ( increment > 0 ) {
+            found[ k ] = v;
+          } else if ( c[ 0 ] <= 0 ) {
+            delete found[ k ];
+          }
+        }
+      }
+    }, // _count()
+    
+    /* ------------------------------------------------------------------------
+       _change( side, removed, added [, options ] )
+       
+       Removes then adds values on side, emitting resulting changes.
+    */
+    _change: function( side, removed, added, options ) {
+      var touched = Object.create( null ), keys = [];
+      
+      this._count( side, removed, -1, touched, keys );
+      this._count( side, added  ,  1, touched, keys );
+      
+      return this._emit_changes( touched, keys, options );
+    }, // _change()
+    
+    /* ------------------------------------------------------------------------
+       _emit_changes( touched, keys [, options ] )
+       
+       Emits changes of membership and values of touched keys as a transaction,
+       see Pipelet.._emit_transaction().
+    */
+    _emit_changes: function( touched, keys, options ) {
+      var counts = this.counts, found = this.values, removed = [], updated = [], added = [];
+      
+      for ( var i = -1, l = keys.length; ++i < l; ) {
+        var k = keys[ i ], t = touched[ k ], c = counts[ k ], v = found[ k ];
+        
+        if ( this.is_member( c ) ) {
+          if ( ! t.member ) {
+            added.push( v );
+          } else if ( t.value !== v ) {
+            updated.push( [ t.value, v ] );
+          }
+        } else if ( t.member ) {
+          removed.push( t.value );
+        }
+        
+        c[ 0 ] || c[ 1 ] || delete counts[ k ];
+      }
+      
+      return this._emit_transaction( [
+        [ Set.prototype.remove, removed ],
+        [ Set.prototype.update, updated ],
+        [ Set.prototype.add   , added   ]
+      ], options );
+    }, // _emit_changes()
+    
+    /* ------------------------------------------------------------------------
+       _clear( side [, options ] )
+       
+       Clears all values of side.
+    */
+    _clear: function( side, options ) {
+      var counts = this.counts, k;
+      
+      if ( side === 0 ) {
+        // No value of the source left, this set is empty
+        for ( k in counts ) {
+          counts[ k ][ 0 ] = 0;
+          
+          counts[ k ][ 1 ] || delete counts[ k ];
+        }
+        
+        this.values = Object.create( null );
+        
+        return Set.prototype.clear.call( this, options );
+      }
+      
+      var touched = Object.create( null ), keys = [];
+      
+      for ( k in counts ) {
+        touched[ k ] = { member: this.is_member( counts[ k ] ), value: this.values[ k ] };
+        
+        keys.push( k );
+        
+        counts[ k ][ 1 ] = 0;
+      }
+      
+      return this._emit_changes( touched, keys, options );
+    }, // _clear()
+    
+    add: function( values, options ) {
+      return this._change( 0, [], values, options );
+    }, // add()
+    
+    remove: function( values, options ) {
+      return this._change( 0, values, [], options );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      for ( var previous = [], values = [], i = -1, l = updates.length; ++i < l; ) {
+        previous.push( updates[ i ][ 0 ] );
+        values  .push( updates[ i ][ 1 ] );
+      }
+      
+      return this._change( 0, previous, values, options );
+    }, // update()
+    
+    clear: function( options ) {
+      return this._clear( 0, options );
+    }, // clear()
+    
+    _release: function() {
+      this.other.dispose( { upstream: false } );
+      
+      return Set.prototype._release.call( this );
+    } // _release()
+  } ); // Set_Operation instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     source.except( other [, options ] )
+     
+     A Set of the values of source which key is not present in other, see Set_Operation().
+     
+     Parameters:
+       - other  : (Pipelet) values to exclude from source
+       - options: (Object) optional Set options
+     
+     Example: customers without orders:
+       customers.except( orders.map( function( o ) { return { id: o.customer_id } } ) );
+  */
+  function Except( other, options ) {
+    return Set_Operation.call( this, other, options );
+  } // Except()
+  
+  Set_Operation.build( 'except', Except, {
+    is_member: function( c ) {
+      return c[ 0 ] > 0 && c[ 1 ] <= 0;
+    } // is_member()
+  } ); // Except instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     source.intersect( other [, options ] )
+     
+     A Set of the values of source which key is also present in other, see Set_Operation().
+     
+     Parameters:
+       - other  : (Pipelet) values which keys are kept in source
+       - options: (Object) optional Set options
+     
+     Example: products in both catalogs, with the attributes of the first:
+       catalog_1.intersect( catalog_2 );
+  */
+  function Intersect( other, options ) {
+    return Set_Operation.call( this, other, options );
+  } // Intersect()
+  
+  Set_Operation.build( 'intersect', Intersect, {
+    is_member: function( c ) {
+      return c[ 0 ] > 0 && c[ 1 ] > 0;
+    } // is_member()
+  } ); // Intersect instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Set_Operation', 'Except', 'Intersect' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // set_operations.js
@@ -0,0 +1,253 @@
+/*  snapshot.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , xs       = XS.xs
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs snapshot, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.snapshot( [ time ], [ options ] )
+     
+     Copies the state of a stateful source pipelet into a frozen Set, which is not updated by
+     later operations on source, and which cannot be modified.
+     
+     If source is a Versioned_Set, the snapshot can be taken at any past time using its as_of()
+     method, otherwise the snapshot copies the current state of source.
+     
+     The copy may complete asynchronously, if source delivers its content in chunks, while the
+     snapshot is running, the compaction of source is paused, see running(). fetch() on a
+     snapshot which is not complete is deferred until complete.
+     
+     A snapshot can be serialized using JSON.stringify(), then restored into a new Set using
+     Snapshot.restore(). Server-side, lib/server/file.js provides write_file() and
+     Snapshot.read_file() to backup and restore snapshots using files.
+     
+     Parameters:
+       - time   : (Date or Number) optional, time in milliseconds since epoch of the snapshot,
+                  default is now, only Versioned_Set sources can provide past states
+       - options: (Object) Set options, key defaults to the key of source
+     
+     Example, take a snapshot of sales at the end of last year:
+       var sales_2012 = sales.snapshot( new Date( 2013, 0, 1 ) - 1 );
+       
+       sales_2012.fetch_all( function( values ) { ... } );
+  */
+  function Snapshot( source, time, options ) {
+    var that = this, u;
+    
+    Set.call( this, extend( { key: source.key }, options ) );
+    
+    if ( time === u || time === null ) {
+      time = new Date().getTime();
+    } else {
+      time = +time;
+      
+      if ( ! source.as_of ) throw new Error( "Snapshot(), source " + source.options.name + " is not versioned, cannot snapshot at a given time" );
+    }
+    
+    // A snapshot is not connected to its source
+    this.time       = time;   // time of the snapshot in milliseconds since epoch
+    this.complete   = false;  // true once all values have been copied
+    this.deferred   = [];     // fetch() receivers deferred until complete
+    this.running_on = source; // source, while copying its values
+    
+    source.snapshots_running = ( source.snapshots_running || 0 ) + 1;
+    
+    if ( source.as_of ) {
+      copied( source.as_of( time ) );
+    } else {
+      source.fetch_all( copied );
+    }
+    
+    return this;
+    
+    function copied( values ) {
+      if ( ! that.running_on ) return; // disposed before completion
+      
+      that._stop_running();
+      
+      that._push( 'a', values.slice( 0 ) );
+      
+      that._index( values, [] );
+      
+      that.complete = true;
+      
+      de&&ug( 'Snapshot(), complete, name: ' + that.options.name + ', time: ' + time + ', values: ' + values.length );
+      
+      for ( var deferred = that.deferred, i = -1, l = deferred.length; ++i < l; ) that.fetch( deferred[ i ] );
+      
+      that.deferred = [];
+    } // copied()
+  } // Snapshot()
+  
+  Set.build( 'snapshot', Snapshot, {
+    fetch: function( receiver ) {
+      if ( ! this.complete ) {
+        this.deferred.push( receiver );
+        
+        return this;
+      }
+      
+      return Set.prototype.fetch.call( this, receiver );
+    }, // fetch()
+    
+    add: function() {
+      return this.frozen( 'add' );
+    }, // add()
+    
+    remove: function() {
+      return this.frozen( 'remove' );
+    }, // remove()
+    
+    update: function() {
+      return this.frozen( 'update' );
+    }, // update()
+    
+    clear: function() {
+      return this.frozen( 'clear' );
+    }, // clear()
+    
+    _stop_running: function() {
+      var source = this.running_on, u;
+      
+      if ( source ) {
+        source.snapshots_running -= 1;
+        
+        this.running_on = u;
+        
+        // Resume compaction delayed while snapshots were running, see Versioned_Set..compact()
+        source.snapshots_running || source.compaction_delayed && source.compact( source.compaction_delayed );
+      }
+      
+      return this;
+    }, // _stop_running()
+    
+    _release: function() {
+      this._stop_running();
+      
+      this.deferred = [];
+      
+      return Set.prototype._release.call( this );
+    }, // _release()
+    
+    frozen: function( operation ) {
+      throw new Error( "Snapshot.." + operation + "(), snapshot " + this.options.name + " is frozen" );
+    }, // frozen()
+    
+    /* ------------------------------------------------------------------------
+       toJSON()
+       
+       Returns the serializable representation of this complete snapshot, used
+       by JSON.stringify(), with attributes:
+         - name  : (String) the name of the snapshot, if any
+         - time  : (Number) time of the snapshot in milliseconds since epoch
+         - key   : (Array of Strings) the key of values
+         - values: (Array of Objects) the values of the snapshot
+    */
+    toJSON: function() {
+      if ( ! this.complete ) throw new Error( "Snapshot..toJSON(), snapshot " + this.options.name + " is not complete" );
+      
+      var json = { time: this.time, key: this.key, values: this.a }, u;
+      
+      if ( this.options.name !== u ) json.name = this.options.name;
+      
+      return json;
+    } // toJSON()
+  }, function( time, options ) {
+    var u;
+    
+    if ( options === u && typeof time === 'object' && time !== null && ! ( time instanceof Date ) ) {
+      options = time;
+      time = u;
+    }
+    
+    de&&ug( 'pipelet.snapshot()' );
+    
+    return new Snapshot( this, time, extend( {}, options ) );
+  } ); // Snapshot instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     Snapshot class methods
+  */
+  extend( Snapshot, {
+    /* ------------------------------------------------------------------------
+       Snapshot.restore( json [, options ] )
+       
+       Restores a serialized snapshot into a new Set.
+       
+       Parameters:
+         - json   : (String or Object) a snapshot serialized by JSON.stringify() or its
+                    parsed representation
+         - options: (Object) options of the new Set, default key and name are those
+                    of the snapshot
+       
+       Returns a new Set holding the values of the snapshot.
+    */
+    restore: function( json, options ) {
+      if ( typeof json === 'string' ) json = JSON.parse( json );
+      
+      var defaults = { key: json.key }, u;
+      
+      if ( json.name !== u ) defaults.name = json.name;
+      
+      de&&ug( 'Snapshot.restore(), time: ' + json.time + ', values: ' + json.values.length );
+      
+      return xs.set( json.values, extend( defaults, options ) );
+    }, // restore()
+    
+    /* ------------------------------------------------------------------------
+       Snapshot.running( pipelet )
+       
+       Returns the number of snapshots running, i.e. not complete, on pipelet.
+       Compaction of pipelet should be paused while snapshots are running.
+    */
+    running: function( pipelet ) {
+      return pipelet.snapshots_running || 0;
+    } // running()
+  } ); // Snapshot class methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Snapshot' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // snapshot.js
@@ -216,6 +216,17 @@
       return this;
     }, // init()
     
+    // remove the table from the DOM and disconnect columns
+    _release: function() {
+      var table = this.table || this.body.parentNode;
+      
+      table.parentNode && table.parentNode.removeChild( table );
+      
+      this.columns.dispose( { upstream: false } );
+      
+      return Ordered.prototype._release.call( this );
+    }, // _release()
+    
     // set the table caption
     set_caption: function( caption ) {
       this.node.getElementsByTagName( "table" )[ 0 ].caption.innerText = caption;
@@ -226,38 +237,70 @@
     add: function( added, options ) {
       de&&ug( "Table..add(), added: " + log.s( added ) );
       
-      if( ! added.length ) return this;
-      
-      this.cols = this.columns.fetch_all();
-      
-      this.insert_at( added, options );
+      if( added.length ) {
+        this.detach_body_( options );
+        
+        this.cols = this.columns.fetch_all();
+        
+        this.insert_at( added, options );
+      }
       
-      return this;
+      return this.attach_body_( options );
     }, // add()
     
     remove: function( removed, options ) {
       de&&ug( "Table..remove(), removed: " + log.s( removed ) );
       
-      if( ! removed.length ) return this;
-      
-      this.cols = this.columns.fetch_all();
-      
-      this.remove_from( removed, options );
+      if( removed.length ) {
+        this.detach_body_( options );
+        
+        this.cols = this.columns.fetch_all();
+        
+        this.remove_from( removed, options );
+      }
       
-      return this;
+      return this.attach_body_( options );
     }, // remove()
     
     update: function( updates, options ) {
       de&&ug( "Table..update(), updates: " + log.s( updates ) );
       
-      if( ! updates.length ) return this;
+      if( updates.length ) {
+        this.detach_body_( options );
+        
+        this.cols = this.columns.fetch_all();
+        
+        this.update_from_to( updates, options );
+      }
       
-      this.cols = this.columns.fetch_all();
+      return this.attach_body_( options );
+    }, // updates()
+    
+    // detach the body from the table while more operations are expected, to repaint once per transaction
+    detach_body_: function( options ) {
+      var body = this.body;
       
-      this.update_from_to( updates, options );
+      if( options && options.more && body.parentNode ) {
+        this.table = body.parentNode;
+        
+        this.table.removeChild( body );
+      }
       
       return this;
-    }, // updates()
+    }, // detach_body_()
+    
+    // re-attach the body detached by detach_body_() at the end of a transaction
+    attach_body_: function( options ) {
+      var table = this.table;
+      
+      if( table && ! ( options && options.more ) ) {
+        table.appendChild( this.body );
+        
+        this.table = undefined;
+      }
+      
+      return this;
+    }, // attach_body_()
     
     insert_ : function( at, v ) {
       var columns = this.cols
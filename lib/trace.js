@@ -0,0 +1,197 @@
+/*  trace.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs trace, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     trace( [ options ] )
+     
+     Logs all operations passing through this pipelet, which are forwarded unchanged to
+     downstream pipelets, allowing to insert a tracer anywhere in a pipeline without
+     disrupting the dataflow.
+     
+     Each traced operation is logged after it has been forwarded downstream, providing its
+     duration. Therefore, when several tracers are chained, downstream tracers log first.
+     
+     Parameters:
+       - options: (Object) optional:
+         - name   : (String) the name of this tracer, displayed by the default log function
+         
+         - log    : (Function) log( trace ), default logs using XS.log(), trace is an object
+                    with the following attributes:
+                      - name     : (String) the name option of this tracer, default is 'trace'
+                      - operation: (String) 'add', 'remove', 'update', 'clear', or 'fetch'
+                      - count    : (Integer) the number of values, or updates
+                      - values   : (Array) values, or updates, undefined for clear
+                      - options  : (Object) options of the operation, including 'more'
+                      - no_more  : (Boolean) for fetch only, true for the last chunk
+                      - time     : (Date) when the operation started
+                      - duration : (Integer) duration of the operation downstream in milliseconds
+         
+         - include: (Array of Strings) operations to trace, default is all operations
+         
+         - exclude: (Array of Strings) operations not to trace, default is none
+     
+     Example: trace adds and removes of sales, without fetches and updates:
+       sales
+         .trace( { name: 'sales', exclude: [ 'fetch', 'update' ] } )
+         .aggregate( measures, dimensions )
+       ;
+  */
+  function Trace( options ) {
+    Pipelet.call( this, options );
+    
+    options = this.options;
+    
+    this._log    = options.log || log_trace;
+    this.include = operations( options.include );
+    this.exclude = operations( options.exclude );
+    
+    return this;
+    
+    function operations( names ) {
+      if ( ! names ) return;
+      
+      for ( var map = {}, i = -1, l = names.length; ++i < l; ) map[ names[ i ] ] = true;
+      
+      return map;
+    } // operations()
+  } // Trace()
+  
+  /* -------------------------------------------------------------------------------------------
+     log_trace( trace )
+     
+     Default log function for Trace.
+  */
+  function log_trace( trace ) {
+    var operation = trace.operation, options = trace.options;
+    
+    log( 'xs trace, ' + trace.name + ', ' + operation
+      + ( operation === 'clear' ? '' : ', count: ' + trace.count )
+      + ( operation === 'fetch' ? ', no_more: ' + trace.no_more : '' )
+      + ( options ? ', options: ' + log.s( options ) : '' )
+      + ', duration: ' + trace.duration + ' ms'
+      + ( trace.values ? ', values: ' + log.s( trace.values ) : '' )
+    );
+  } // log_trace()
+  
+  Pipelet.build( 'trace', Trace, {
+    add: function( added, options ) {
+      return this._trace( 'add', added, options, this.emit_add );
+    }, // add()
+    
+    remove: function( removed, options ) {
+      return this._trace( 'remove', removed, options, this.emit_remove );
+    }, // remove()
+    
+    update: function( updated, options ) {
+      return this._trace( 'update', updated, options, this.emit_update );
+    }, // update()
+    
+    clear: function( options ) {
+      var u;
+      
+      return this._trace( 'clear', u, options, function( values, options ) {
+        this.emit_clear( options );
+      } );
+    }, // clear()
+    
+    fetch: function( receiver ) {
+      var that = this;
+      
+      return this._fetch_source( function( values, no_more, options ) {
+        that._trace( 'fetch', values, options, function() {
+          receiver( values, no_more, options );
+        }, no_more );
+      } );
+    }, // fetch()
+    
+    /* ------------------------------------------------------------------------
+       traced( operation )
+       
+       Returns true if operation is traced according to include and exclude options.
+    */
+    traced: function( operation ) {
+      var include = this.include, exclude = this.exclude;
+      
+      return ( ! include || include[ operation ] === true ) && ! ( exclude && exclude[ operation ] );
+    }, // traced()
+    
+    /* ------------------------------------------------------------------------
+       _trace( operation, values, options, emit [, no_more ] )
+       
+       Forwards operation downstream using emit(), then logs it if traced.
+    */
+    _trace: function( operation, values, options, emit, no_more ) {
+      if ( ! this.traced( operation ) ) {
+        emit.call( this, values, options );
+        
+        return this;
+      }
+      
+      var time = new Date(), trace = {
+        name     : this.options.name || 'trace',
+        operation: operation,
+        count    : values ? values.length : 0,
+        values   : values,
+        options  : options
+      };
+      
+      emit.call( this, values, options );
+      
+      trace.time     = time;
+      trace.duration = new Date() - time;
+      
+      if ( operation === 'fetch' ) trace.no_more = !!no_more;
+      
+      this._log( trace );
+      
+      return this;
+    } // _trace()
+  } ); // Trace instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Trace' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // trace.js
@@ -0,0 +1,209 @@
+/*  unnest.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs unnest, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     is_object( value )
+     
+     Returns true if value is an Object which attributes can be merged, i.e. not null and not
+     an Array.
+  */
+  function is_object( v ) {
+    return v !== null && typeof v === 'object' && ! ( v instanceof Array );
+  } // is_object()
+  
+  /* -------------------------------------------------------------------------------------------
+     equals( a, b )
+     
+     Returns true if Objects a and b have the same attributes with strictly equal values.
+  */
+  function equals( a, b ) {
+    var name;
+    
+    for ( name in a ) if ( a[ name ] !== b[ name ] ) return false;
+    for ( name in b ) if ( ! ( name in a ) ) return false;
+    
+    return true;
+  } // equals()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.unnest( attribute [, options ] )
+     
+     Emits one value per element of the Array attribute of source values, e.g. one value per
+     order line of orders, so that elements can be filtered, joined or aggregated.
+     
+     Each emitted value has all the attributes of its parent value but the unnested attribute,
+     merged with the attributes of the element if it is an Object, otherwise the element is
+     the value of the unnested attribute. Key attributes of the parent cannot be overwritten by
+     element attributes. Parent values which attribute is not an Array have no element.
+     
+     Emitted values are keyed on the key of the parent plus the id attribute of elements if
+     the id option is provided, otherwise plus the index of elements in the Array, set as the
+     index attribute of emitted values. With the id option, elements which do not have the id
+     attribute, including elements which are not Objects, throw an Error, as they could not be
+     told apart.
+     
+     Updates of parent values are diffed by key into removes of elements no longer present,
+     updates of elements which attributes changed, and adds of new elements, emitted as one
+     transaction.
+     
+     Parameters:
+       - attribute: (String) name of the Array attribute of source values
+       - options  : (Object) optional Pipelet options and:
+         - key  : (Array of Strings) key of source values, default is the key of the source
+         - id   : (String) attribute identifying elements within their parent, which must
+                  not be a key attribute of the parent
+         - index: (String) attribute name for the index of elements when there is no id
+                  option, default is '_index'
+     
+     Example: order lines with the attributes of their order:
+       orders.unnest( 'lines', { id: 'line_id' } );
+       
+       // { id: 1, customer: 'Ali', lines: [ { line_id: 1, sku: 'A' }, { line_id: 2, sku: 'B' } ] }
+       // -> { id: 1, customer: 'Ali', line_id: 1, sku: 'A' }
+       // -> { id: 1, customer: 'Ali', line_id: 2, sku: 'B' }
+  */
+  function Unnest( attribute, options ) {
+    var parent_key = options.key || [ 'id' ], u;
+    
+    this.attribute  = attribute;
+    this.parent_key = parent_key;
+    this.id         = options.id;
+    this.index      = this.id ? u : options.index || '_index';
+    
+    return Pipelet.call( this, extend( {}, options, { key: parent_key.concat( [ this.id || this.index ] ) } ) );
+  } // Unnest()
+  
+  Pipelet.build( 'unnest', Unnest, {
+    /* ------------------------------------------------------------------------
+       _unnest( parent, out )
+       
+       Pushes to out the values of the elements of parent.
+    */
+    _unnest: function( parent, out ) {
+      var attribute = this.attribute, elements = parent[ attribute ];
+      
+      if ( ! ( elements instanceof Array ) ) return out;
+      
+      var key = this.parent_key, kl = key.length, id = this.id, index = this.index, base = {}, name, i, l, j;
+      
+      // Attributes of parent, but the unnested attribute
+      for ( name in parent ) if ( name !== attribute ) base[ name ] = parent[ name ];
+      
+      for ( i = -1, l = elements.length; ++i < l; ) {
+        var e = elements[ i ], v = extend( {}, base );
+        
+        if ( is_object( e ) ) {
+          extend( v, e );
+          
+          for ( j = -1; ++j < kl; ) v[ key[ j ] ] = parent[ key[ j ] ];
+        } else {
+          v[ attribute ] = e;
+        }
+        
+        if ( index ) {
+          v[ index ] = i;
+        } else if ( v[ id ] === undefined ) {
+          throw new Error( "Unnest.._unnest(), element " + i + " of " + attribute + " has no " + id + " attribute" );
+        }
+        
+        out.push( v );
+      }
+      
+      return out;
+    }, // _unnest()
+    
+    transform: function( values ) {
+      for ( var out = [], i = -1, l = values.length; ++i < l; ) this._unnest( values[ i ], out );
+      
+      return out;
+    }, // transform()
+    
+    add: function( values, options ) {
+      return this.emit_add( this.transform( values ), Pipelet.forward_options( options ) );
+    }, // add()
+    
+    remove: function( values, options ) {
+      return this.emit_remove( this.transform( values ), Pipelet.forward_options( options ) );
+    }, // remove()
+    
+    update: function( updates, options ) {
+      var removed = [], updated = [], added = [];
+      
+      for ( var i = -1, l = updates.length; ++i < l; ) {
+        var previous = this._unnest( updates[ i ][ 0 ], [] )
+          , values   = this._unnest( updates[ i ][ 1 ], [] )
+          , keys     = Object.create( null )
+          , j, k, v, p
+        ;
+        
+        for ( j = -1; p = previous[ ++j ]; ) keys[ this.make_key( p ) ] = p;
+        
+        for ( j = -1; v = values[ ++j ]; ) {
+          if ( p = keys[ k = this.make_key( v ) ] ) {
+            delete keys[ k ];
+            
+            equals( p, v ) || updated.push( [ p, v ] );
+          } else {
+            added.push( v );
+          }
+        }
+        
+        for ( k in keys ) removed.push( keys[ k ] );
+      }
+      
+      return this._emit_transaction( [
+        [ this.emit_remove, removed ],
+        [ this.emit_update, updated ],
+        [ this.emit_add   , added   ]
+      ], options );
+    } // update()
+  } ); // Unnest instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Unnest' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // unnest.js
@@ -0,0 +1,418 @@
+/*  validate.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './code.js' );
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var xs       = XS.xs
+    , log      = XS.log
+    , extend   = XS.extend
+    , subclass = XS.subclass
+    , Code     = XS.Code
+    , Pipelet  = XS.Pipelet
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs validate, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     Validate_Schema( schema, validate, options )
+     
+     Makes the validator of validate from schema, then again every time a schema Set changes.
+  */
+  function Validate_Schema( schema, validate, options ) {
+    Pipelet.call( this, options );
+    
+    this.validate = validate;
+    
+    if ( typeof schema.fetch_all === 'function' ) return this.add_source( this.schema = schema );
+    
+    validate.make_validator( schema );
+    
+    return this;
+  } // Validate_Schema()
+  
+  subclass( Pipelet, Validate_Schema );
+  
+  var p = Validate_Schema.prototype;
+  
+  p.add = p.remove = p.update = p.clear = function() {
+    var validate = this.validate;
+    
+    this.schema.fetch_all( function( rules ) {
+      // Rules of a schema Set have attribute names as id
+      for ( var schema = {}, i = -1, l = rules.length; ++i < l; ) schema[ rules[ i ].id ] = rules[ i ];
+      
+      validate.make_validator( schema );
+    } );
+    
+    return this;
+  }; // add / remove / update / clear
+  
+  /* -------------------------------------------------------------------------------------------
+     source.validate( schema [, options ] )
+     
+     Validates values against a declarative schema. Valid values are forwarded downstream,
+     rejected values are added to the errors set of this pipelet, with the reasons of their
+     rejection.
+     
+     Keys of forwarded values are tracked so that removes of forwarded values are forwarded
+     without validation, even if the schema changed since their add. Other removes are
+     validated as adds, so that values rejected by an add are also rejected by their remove.
+     An update which previous value was forwarded and new value is rejected is forwarded as
+     a remove of the previous value, an update which previous value was not forwarded and
+     new value is valid is forwarded as an add of the new value.
+     
+     When a schema Set changes, following operations are validated against the new schema,
+     values already forwarded are not validated again.
+     
+     Parameters:
+       - schema: (Object) rules by attribute name, or (Set) of rules which id is the attribute
+                 name. Rules are objects with the optional attributes:
+         - required: (Boolean) the attribute must be defined and not null. Key attributes of
+                     this pipelet are always required.
+         - type    : (String) 'string', 'number', 'boolean', 'object', 'array', or 'date'
+         - enum    : (Array) allowed values
+         - min     : lowest allowed value
+         - max     : highest allowed value
+       
+       - options: (Object) optional Pipelet options
+     
+     Each value of the errors set has the attributes:
+       - id     : (Integer) auto-incremented error id
+       - action : (String) 'add', 'remove' or 'update', the rejected operation
+       - value  : (Object) the rejected value
+       - reasons: (Array of Objects) reasons of the rejection, with attributes:
+         - attribute: (String) the name of the invalid attribute
+         - rule     : (String) the rule which failed: 'required', 'type', 'enum', 'min' or 'max'
+         - message  : (String) a human-readable description of the failure
+       - options: (Object) the options of the operation, if any, holding its metadata
+     
+     Example:
+       var sales = xs.file( 'sales' ).validate( {
+         country: { required: true, type: 'string', enum: [ 'France', 'Morocco' ] },
+         amount : { type: 'number', min: 0 }
+       } );
+       
+       sales.errors.table( '#sales_errors', columns );
+  */
+  function Validate( schema, options ) {
+    Pipelet.call( this, options );
+    
+    this.forwarded = Object.create( null ); // counts of forwarded values by key
+    
+    this.errors = xs.set( [], { name: ( this.options.name || 'validate' ) + ' errors', auto_increment: true } );
+    
+    this.validate_schema = new Validate_Schema( schema, this, options );
+    
+    return this;
+  } // Validate()
+  
+  Pipelet.build( 'validate', Validate, {
+    /* ------------------------------------------------------------------------
+       make_validator( schema )
+       
+       Generates validator( value ), returning the Array of reasons why value
+       is rejected by schema, empty if value is valid.
+    */
+    make_validator: function( schema ) {
+      var key = this.key, rules, attribute, i, l;
+      
+      schema = extend_schema( schema );
+      
+      // Key attributes are always required
+      for ( i = -1, l = key.length; ++i < l; ) {
+        ( schema[ key[ i ] ] || ( schema[ key[ i ] ] = {} ) ).required = true;
+      }
+      
+      var code = new Code( 'validator' )
+        ._function( 'this.validator', null, [ 'v' ] )
+          ._var( 'u', 'x', 'reasons = []' );
+          
+          for ( attribute in schema ) {
+            rules = schema[ attribute ];
+            
+            // Quoted, attribute names come from the schema which may come from a Set
+            code.add( 'x = v[ ' + JSON.stringify( attribute ) + ' ]' );
+            
+            if ( rules.required ) {
+              code
+                ._if( 'x === u || x === null' )
+                  .add( reason( attribute, 'required', 'missing required attribute ' + attribute ) )
+                ._else()
+              ;
+            } else {
+              code._if( 'x !== u && x !== null' );
+            }
+            
+            if ( rules.type ) {
+              code
+                ._if( type_test( rules.type ) )
+                  .add( reason( attribute, 'type', attribute + ' should be of type ' + rules.type ) )
+                .end()
+              ;
+            }
+            
+            if ( rules[ 'enum' ] ) {
+              code
+                ._if( JSON.stringify( rules[ 'enum' ] ) + '.indexOf( x ) === -1' )
+                  .add( reason( attribute, 'enum', attribute + ' should be one of ' + rules[ 'enum' ].join( ', ' ) ) )
+                .end()
+              ;
+            }
+            
+            if ( rules.min !== undefined ) {
+              code
+                ._if( 'x < ' + JSON.stringify( rules.min ) )
+                  .add( reason( attribute, 'min', attribute + ' should be at least ' + rules.min ) )
+                .end()
+              ;
+            }
+            
+            if ( rules.max !== undefined ) {
+              code
+                ._if( 'x > ' + JSON.stringify( rules.max ) )
+                  .add( reason( attribute, 'max', attribute + ' should be at most ' + rules.max ) )
+                .end()
+              ;
+            }
+            
+            code.end();
+          }
+          
+          code.add( 'return reasons' )
+        .end( 'validator()' )
+      ;
+      
+      eval( code.get() );
+      
+      de&&ug( 'make_validator(), attributes: ' + Object.keys( schema ).join( ', ' ) );
+      
+      return this;
+    }, // make_validator()
+    
+    /* ------------------------------------------------------------------------
+       validator( value )
+       
+       Accepts all values until the validator is made from the schema.
+    */
+    validator: function( v ) {
+      return [];
+    }, // validator()
+    
+    /* ------------------------------------------------------------------------
+       transform( values )
+       
+       Returns forwarded values.
+    */
+    transform: function( values ) {
+      for ( var forwarded = [], i = -1, l = values.length; ++i < l; ) {
+        this.forwarded[ this.make_key( values[ i ] ) ] && forwarded.push( values[ i ] );
+      }
+      
+      return forwarded;
+    }, // transform()
+    
+    /* ------------------------------------------------------------------------
+       _forward( v, increment )
+       
+       Adds increment to the count of forwarded values with the key of v.
+    */
+    _forward: function( v, increment ) {
+      var forwarded = this.forwarded, k = this.make_key( v );
+      
+      ( forwarded[ k ] = ( forwarded[ k ] || 0 ) + increment ) > 0 || delete forwarded[ k ];
+      
+      return this;
+    }, // _forward()
+    
+    /* ------------------------------------------------------------------------
+       _validate( action, values, options )
+       
+       Returns valid values, adding rejected values to the errors set.
+    */
+    _validate: function( action, values, options ) {
+      for ( var valid = [], errors = [], i = -1, l = values.length; ++i < l; ) {
+        var v = values[ i ], reasons = this.validator( v );
+        
+        if ( reasons.length ) {
+          errors.push( error( action, v, reasons, options ) );
+        } else {
+          valid.push( v );
+        }
+      }
+      
+      errors.length && this.errors.add( errors );
+      
+      return valid;
+    }, // _validate()
+    
+    add: function( added, options ) {
+      added = this._validate( 'add', added, options );
+      
+      for ( var i = -1, l = added.length; ++i < l; ) this._forward( added[ i ], 1 );
+      
+      added.length && this.emit_add( added, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // add()
+    
+    remove: function( removed, options ) {
+      for ( var forwarded = [], other = [], i = -1, l = removed.length; ++i < l; ) {
+        var v = removed[ i ];
+        
+        if ( this.forwarded[ this.make_key( v ) ] ) {
+          this._forward( v, -1 );
+          
+          forwarded.push( v );
+        } else {
+          other.push( v );
+        }
+      }
+      
+      removed = forwarded.concat( this._validate( 'remove', other, options ) );
+      
+      removed.length && this.emit_remove( removed, Pipelet.forward_options( options ) );
+      
+      return this;
+    }, // remove()
+    
+    update: function( updates, options ) {
+      var removed = [], updated = [], added = [], errors = [];
+      
+      for ( var i = -1, l = updates.length; ++i < l; ) {
+        var update = updates[ i ]
+          , previous_forwarded = this.forwarded[ this.make_key( update[ 0 ] ) ]
+          , reasons = this.validator( update[ 1 ] )
+        ;
+        
+        previous_forwarded && this._forward( update[ 0 ], -1 );
+        
+        if ( reasons.length ) {
+          errors.push( error( 'update', update[ 1 ], reasons, options ) );
+          
+          previous_forwarded && removed.push( update[ 0 ] );
+        } else {
+          this._forward( update[ 1 ], 1 );
+          
+          previous_forwarded ? updated.push( update ) : added.push( update[ 1 ] );
+        }
+      }
+      
+      errors.length && this.errors.add( errors );
+      
+      options = Pipelet.forward_options( options );
+      
+      removed.length && this.emit_remove( removed, options );
+      updated.length && this.emit_update( updated, options );
+      added  .length && this.emit_add   ( added  , options );
+      
+      return this;
+    }, // update()
+    
+    clear: function( options ) {
+      this.forwarded = Object.create( null );
+      
+      return this.emit_clear( options );
+    }, // clear()
+    
+    _release: function() {
+      this.validate_schema.dispose( { upstream: false } );
+      
+      this.errors.dispose();
+      
+      return Pipelet.prototype._release.call( this );
+    } // _release()
+  } ); // Validate instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     extend_schema( schema )
+     
+     Returns a copy of schema, with copies of rules.
+  */
+  function extend_schema( schema ) {
+    var copy = {};
+    
+    for ( var attribute in schema ) copy[ attribute ] = extend( {}, schema[ attribute ] );
+    
+    return copy;
+  } // extend_schema()
+  
+  /* -------------------------------------------------------------------------------------------
+     type_test( type )
+     
+     Returns the source of the condition testing that x is not of type.
+  */
+  function type_test( type ) {
+    switch( type ) {
+      case 'string' :
+      case 'number' :
+      case 'boolean': return 'typeof x !== "' + type + '"';
+      case 'object' : return 'typeof x !== "object"';
+      case 'array'  : return '! ( x instanceof Array )';
+      case 'date'   : return '! ( x instanceof Date )';
+    }
+    
+    throw new Error( "Validate..make_validator(), unsupported type: " + type );
+  } // type_test()
+  
+  /* -------------------------------------------------------------------------------------------
+     reason( attribute, rule, message )
+     
+     Returns the source of the statement adding a reason of rejection.
+  */
+  function reason( attribute, rule, message ) {
+    return 'reasons.push( ' + JSON.stringify( { attribute: attribute, rule: rule, message: message } ) + ' )';
+  } // reason()
+  
+  /* -------------------------------------------------------------------------------------------
+     error( action, value, reasons, options )
+     
+     Returns a value of the errors set.
+  */
+  function error( action, value, reasons, options ) {
+    var e = { action: action, value: value, reasons: reasons };
+    
+    if ( options ) e.options = options;
+    
+    return e;
+  } // error()
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Validate' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // validate.js
@@ -0,0 +1,249 @@
+/*  versioned_set.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs versioned_set, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     versioned_set( [ values ], [ options ] )
+     
+     A Set which keeps the history of operations on each of its values, allowing to rebuild
+     the state of the set at any past instant, and to list all versions of a value.
+     
+     Versions are recorded for changes emitted by this set, i.e. operations waiting in the
+     anti-state are not versioned until resolved. Each version is timed by the time of the
+     metadata of its operation, see Pipelet.metadata(), allowing to replay operations which
+     time is in the past.
+     
+     Parameters:
+       - values : (Array) initial values
+       - options: (Object) Set options
+     
+     Example:
+       var sales = xs.versioned_set();
+       
+       // later
+       sales.as_of( new Date( 2013, 0, 1 ) ) // state of sales on new year
+       
+       sales.history( { id: 1 } ) // all versions of sale 1
+       
+       sales.compact() // discard past versions
+  */
+  function Versioned_Set( a, options ) {
+    this.versions = {}; // Versions of values by key, in ascending time order
+    
+    return Set.call( this, a, options );
+  } // Versioned_Set()
+  
+  Set.build( 'versioned_set', Versioned_Set, {
+    /* ------------------------------------------------------------------------
+       as_of( time )
+       
+       Returns the state of this set at time, i.e. an Array of values as they
+       were at time, including changes at time.
+       
+       Parameters:
+         - time: (Date or Number) time in milliseconds since epoch
+    */
+    as_of: function( time ) {
+      var versions = this.versions, values = [], u;
+      
+      time = +time;
+      
+      for ( var k in versions ) {
+        var key_versions = versions[ k ], i = key_versions.length, v = u;
+        
+        while ( i && ( v = key_versions[ --i ] ).time > time ) v = u;
+        
+        v && v.action !== 'remove' && values.push( v.value );
+      }
+      
+      de&&ug( 'as_of(), time: ' + time + ', values: ' + values.length );
+      
+      return values;
+    }, // as_of()
+    
+    /* ------------------------------------------------------------------------
+       history( value )
+       
+       Returns all versions of a value, in ascending time order, as an Array
+       of versions with attributes:
+         - action  : (String) 'add', 'update', or 'remove'
+         - value   : (Object) the value, for 'remove' the removed value
+         - time    : (Number) time of the operation in milliseconds since epoch
+         - metadata: (Object) metadata of the operation, see Pipelet.metadata()
+       
+       Parameters:
+         - value: (Object) the value which versions are requested, only its key
+                  attributes are used, or (String) its key as returned by
+                  make_key()
+    */
+    history: function( value ) {
+      var versions = this.versions[ typeof value === 'string' ? value : this.make_key( value ) ];
+      
+      return versions ? versions.slice( 0 ) : [];
+    }, // history()
+    
+    /* ------------------------------------------------------------------------
+       compact( [ options ] )
+       
+       Selective compaction of versions, see compact(): the versions of each
+       selected value are replaced by a single add of its last version, or
+       discarded if its last version is a remove. Past states, before the
+       last version of compacted values, are no longer available from as_of().
+       
+       While snapshots of this set are running, compaction is delayed until
+       the last snapshot completes.
+       
+       Parameters:
+         - options: (Object) optional:
+           - keep_metadata: (Boolean) if true, the compacted version keeps the
+                            metadata of the last version, default is false
+           - select       : (Function) select( value ) returns true for values
+                            to compact, default selects all values
+    */
+    compact: function( options ) {
+      options = options || {};
+      
+      if ( this.snapshots_running ) {
+        de&&ug( 'compact(), delayed, snapshots running: ' + this.snapshots_running );
+        
+        this.compaction_delayed = options;
+        
+        return this;
+      }
+      
+      var versions = this.versions, select = options.select, u;
+      
+      this.compaction_delayed = u;
+      
+      for ( var k in versions ) {
+        var key_versions = versions[ k ], last = key_versions[ key_versions.length - 1 ];
+        
+        if ( select && ! select( last.value ) ) continue;
+        
+        if ( last.action === 'remove' ) {
+          delete versions[ k ];
+        } else {
+          versions[ k ] = [ {
+            action  : 'add',
+            value   : last.value,
+            time    : last.time,
+            metadata: options.keep_metadata ? last.metadata : {}
+          } ];
+        }
+      }
+      
+      return this;
+    }, // compact()
+    
+    /* ------------------------------------------------------------------------
+       _version( action, value, options )
+       
+       Records a version of value, keeping versions of the same key sorted by
+       time, versions with the same time are kept in order of arrival.
+    */
+    _version: function( action, value, options ) {
+      var metadata = options && options.metadata || {}
+        , time = metadata.time
+        , k = this.make_key( value )
+        , versions = this.versions[ k ] || ( this.versions[ k ] = [] )
+        , i = versions.length
+        , u
+      ;
+      
+      if ( time === u ) time = new Date().getTime();
+      
+      while ( i && versions[ i - 1 ].time > time ) i -= 1;
+      
+      versions.splice( i, 0, { action: action, value: value, time: time, metadata: metadata } );
+      
+      return this;
+    }, // _version()
+    
+    emit_add: function( added, options ) {
+      for ( var i = -1, l = added.length; ++i < l; ) this._version( 'add', added[ i ], options );
+      
+      return Set.prototype.emit_add.call( this, added, options );
+    }, // emit_add()
+    
+    emit_remove: function( removed, options ) {
+      for ( var i = -1, l = removed.length; ++i < l; ) this._version( 'remove', removed[ i ], options );
+      
+      return Set.prototype.emit_remove.call( this, removed, options );
+    }, // emit_remove()
+    
+    emit_update: function( updates, options ) {
+      for ( var i = -1, l = updates.length; ++i < l; ) {
+        var update = updates[ i ], previous = update[ 0 ], v = update[ 1 ];
+        
+        if ( this.make_key( previous ) === this.make_key( v ) ) {
+          this._version( 'update', v, options );
+        } else {
+          // The key changed, this update is a remove of the previous key and an add of the new key
+          this._version( 'remove', previous, options );
+          this._version( 'add'   , v       , options );
+        }
+      }
+      
+      return Set.prototype.emit_update.call( this, updates, options );
+    }, // emit_update()
+    
+    emit_clear: function( options ) {
+      var versions = this.versions;
+      
+      for ( var k in versions ) {
+        var key_versions = versions[ k ], last = key_versions[ key_versions.length - 1 ];
+        
+        last.action !== 'remove' && this._version( 'remove', last.value, options );
+      }
+      
+      return Set.prototype.emit_clear.call( this, options );
+    } // emit_clear()
+  } ); // Versioned_Set instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Versioned_Set' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // versioned_set.js
@@ -0,0 +1,246 @@
+/*  window.js
+
+    Copyright (C) 2013, Connected Sets
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Affero General Public License as
+    published by the Free Software Foundation, either version 3 of the
+    License, or (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU Affero General Public License for more details.
+
+    You should have received a copy of the GNU Affero General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+"use strict";
+
+( function( exports ) {
+  var XS;
+  
+  if ( typeof require === 'function' ) {
+    XS = require( './xs.js' ).XS;
+    
+    require( './pipelet.js' );
+  } else {
+    XS = exports.XS;
+  }
+  
+  var log      = XS.log
+    , extend   = XS.extend
+    , Pipelet  = XS.Pipelet
+    , Set      = XS.Set
+  ;
+  
+  /* -------------------------------------------------------------------------------------------
+     de&&ug()
+  */
+  var de = true;
+  
+  function ug( m ) {
+    log( "xs window, " + m );
+  } // ug()
+  
+  /* -------------------------------------------------------------------------------------------
+     source.window( options )
+     
+     A Set of the values which timestamp falls inside the current time window. Values are
+     removed, on a timer, as they expire, so that an Aggregate downstream yields rolling
+     totals over the window.
+     
+     Without the slide option, the window is sliding continuously, each value expires size
+     milliseconds after its timestamp.
+     
+     With the slide option, the window moves every slide milliseconds, at times multiple of
+     slide, and holds values which timestamp is after its end minus size. Values expire when
+     the window moves. If slide equals size, this is a tumbling window, i.e. windows do not
+     overlap.
+     
+     Added values which timestamp is already outside of the window are ignored, updated
+     values moving outside of the window are removed.
+     
+     Parameters:
+       - options: (Object) Set options and:
+         - attribute: (String) name of the timestamp attribute of values, in milliseconds
+                      since epoch or a Date, default is 'timestamp'
+         - size     : (Integer) size of the window in milliseconds
+         - slide    : (Integer) optional, period of window moves in milliseconds
+     
+     Example: sales over the last 5 minutes, updated every 10 seconds:
+       sales
+         .window( { attribute: 'date', size: 5 * 60000, slide: 10000 } )
+         .aggregate( [ { id: 'amount' } ] )
+       ;
+  */
+  function Time_Window( options ) {
+    if ( ! ( options.size > 0 ) ) throw new Error( "Time_Window(), invalid window size: " + options.size );
+    
+    this.attribute = options.attribute || 'timestamp';
+    this.size      = options.size;
+    this.slide     = options.slide || 0;
+    this.timer     = null;
+    this.next      = Infinity; // time of next expiry, when the timer fires
+    
+    return Set.call( this, [], options );
+  } // Time_Window()
+  
+  Set.build( 'window', Time_Window, {
+    /* ------------------------------------------------------------------------
+       start( now )
+       
+       Returns the start of the window at time now, values which timestamp is
+       before start are expired.
+    */
+    start: function( now ) {
+      var slide = this.slide;
+      
+      if ( slide ) now = ( Math.floor( now / slide ) + 1 ) * slide;
+      
+      return now - this.size;
+    }, // start()
+    
+    /* ------------------------------------------------------------------------
+       expiry( value )
+       
+       Returns the time when value expires.
+    */
+    expiry: function( v ) {
+      var t = +v[ this.attribute ] + this.size, slide = this.slide;
+      
+      // With a slide, the first window move after which start() is after the timestamp of v
+      return slide ? Math.floor( t / slide ) * slide : t;
+    }, // expiry()
+    
+    add: function( values, options ) {
+      var start = this.start( new Date().getTime() ), attribute = this.attribute;
+      
+      for ( var added = [], i = -1, l = values.length; ++i < l; ) {
+        +values[ i ][ attribute ] >= start && added.push( values[ i ] );
+      }
+      
+      added.length && Set.prototype.add.call( this, added, options );
+      
+      return this._schedule( added );
+    }, // add()
+    
+    /* ------------------------------------------------------------------------
+       remove( values [, options ] )
+       
+       Values not held by the window, expired or ignored when added, are not
+       removed, so that they do not end up in the anti-state.
+    */
+    remove: function( values, options ) {
+      for ( var removed = [], i = -1, l = values.length; ++i < l; ) {
+        this.index_of( values[ i ] ) !== -1 && removed.push( values[ i ] );
+      }
+      
+      removed.length && Set.prototype.remove.call( this, removed, options );
+      
+      return this;
+    }, // remove()
+    
+    /* ------------------------------------------------------------------------
+       update( updates [, options ] )
+       
+       Updates which previous value is not held by the window become adds if
+       the new value is inside the window, updates which new value is outside
+       of the window become removes.
+    */
+    update: function( updates, options ) {
+      var start = this.start( new Date().getTime() ), attribute = this.attribute
+        , removed = [], updated = [], added = [], values = []
+      ;
+      
+      for ( var i = -1, l = updates.length; ++i < l; ) {
+        var update = updates[ i ], held = this.index_of( update[ 0 ] ) !== -1;
+        
+        if ( +update[ 1 ][ attribute ] >= start ) {
+          held ? updated.push( update ) : added.push( update[ 1 ] );
+          
+          values.push( update[ 1 ] );
+        } else {
+          held && removed.push( update[ 0 ] );
+        }
+      }
+      
+      var operations = [];
+      
+      removed.length && operations.push( [ Set.prototype.remove, removed ] );
+      updated.length && operations.push( [ Set.prototype.update, updated ] );
+      added  .length && operations.push( [ Set.prototype.add   , added   ] );
+      
+      for ( i = -1, l = operations.length; ++i < l; ) {
+        operations[ i ][ 0 ].call( this, operations[ i ][ 1 ], i < l - 1 ? extend( {}, options, { more: true } ) : options );
+      }
+      
+      return this._schedule( values );
+    }, // update()
+    
+    /* ------------------------------------------------------------------------
+       _schedule( values )
+       
+       Sets the timer to expire values, if they expire before the next expiry.
+    */
+    _schedule: function( values ) {
+      for ( var next = this.next, i = -1, l = values.length; ++i < l; ) {
+        var t = this.expiry( values[ i ] );
+        
+        if ( t < next ) next = t;
+      }
+      
+      if ( next === this.next ) return this;
+      
+      var that = this;
+      
+      this.timer && clearTimeout( this.timer );
+      
+      this.next = next;
+      
+      // Values expire strictly after their expiry time
+      this.timer = setTimeout( function() {
+        that.timer = null;
+        
+        that._expire();
+      }, Math.max( next - new Date().getTime(), 0 ) + 1 );
+      
+      return this;
+    }, // _schedule()
+    
+    /* ------------------------------------------------------------------------
+       _expire()
+       
+       Removes expired values, then schedules the next expiry, if any.
+    */
+    _expire: function() {
+      var start = this.start( new Date().getTime() ), attribute = this.attribute, a = this.a;
+      
+      for ( var expired = [], i = -1, l = a.length; ++i < l; ) +a[ i ][ attribute ] < start && expired.push( a[ i ] );
+      
+      de&&ug( '_expire(), expired: ' + expired.length );
+      
+      expired.length && Set.prototype.remove.call( this, expired );
+      
+      this.next = Infinity;
+      
+      return this._schedule( this.a );
+    }, // _expire()
+    
+    _release: function() {
+      this.timer && clearTimeout( this.timer );
+      
+      this.timer = null;
+      this.next = Infinity;
+      
+      return Set.prototype._release.call( this );
+    } // _release()
+  } ); // Time_Window instance methods
+  
+  /* -------------------------------------------------------------------------------------------
+     module exports
+  */
+  eval( XS.export_code( 'XS', [ 'Time_Window' ] ) );
+  
+  de&&ug( "module loaded" );
+} )( this ); // window.js
@@ -64,6 +64,21 @@ var client_min = xs.set( [
     { name: 'lib/order.js'              },
     { name: 'lib/aggregate.js'          },
     { name: 'lib/join.js'               },
+    { name: 'lib/conflicts.js'          },
+    { name: 'lib/graph.js'              },
+    { name: 'lib/trace.js'              },
+    { name: 'lib/versioned_set.js'      },
+    { name: 'lib/snapshot.js'           },
+    { name: 'lib/compact.js'            },
+    { name: 'lib/validate.js'           },
+    { name: 'lib/map.js'                },
+    { name: 'lib/project.js'            },
+    { name: 'lib/distinct.js'           },
+    { name: 'lib/limit.js'              },
+    { name: 'lib/window.js'             },
+    { name: 'lib/group.js'              },
+    { name: 'lib/unnest.js'             },
+    { name: 'lib/set_operations.js'     },
     
     { name: 'test/xs_tests.js'          }
   ], { auto_increment: true }  ) // will auto-increment the id attribute starting at 1
@@ -90,6 +90,21 @@
     require('../lib/order.js');
     require('../lib/aggregate.js');
     require('../lib/join.js');
+    require('../lib/conflicts.js');
+    require('../lib/graph.js');
+    require('../lib/trace.js');
+    require('../lib/versioned_set.js');
+    require('../lib/snapshot.js');
+    require('../lib/compact.js');
+    require('../lib/validate.js');
+    require('../lib/map.js');
+    require('../lib/project.js');
+    require('../lib/distinct.js');
+    require('../lib/limit.js');
+    require('../lib/window.js');
+    require('../lib/group.js');
+    require('../lib/unnest.js');
+    require('../lib/set_operations.js');
   }
 
   if (typeof require !== "undefined" && require !== null) {
@@ -370,12 +385,150 @@
             model: "S Class"
           }).should.be.eql(1);
         });
-        return it('cars.index_of( { id: 3, model: "S Class" } ) should be -1: not found', function() {
+        it('cars.index_of( { id: 3, model: "S Class" } ) should be -1: not found', function() {
           return cars.index_of({
             id: 3,
             model: "S Class"
           }).should.be.eql(-1);
         });
+        return describe('key index maintenance:', function() {
+          var i, numbers;
+          numbers = xs.set((function() {
+            var _i, _results;
+            _results = [];
+            for (i = _i = 0; _i < 10; i = ++_i) {
+              _results.push({
+                id: i,
+                n: i * 10
+              });
+            }
+            return _results;
+          })());
+          it('numbers.index_of( { id: 7 } ) should be 7', function() {
+            return numbers.index_of({
+              id: 7
+            }).should.be.eql(7);
+          });
+          it('after removing ids 2, 5, and 8 in one remove(), index_of( { id: 7 } ) should be 5', function() {
+            numbers.remove([
+              {
+                id: 8
+              }, {
+                id: 2
+              }, {
+                id: 5
+              }
+            ]);
+            return numbers.index_of({
+              id: 7
+            }).should.be.eql(5);
+          });
+          it('removed values should not be found', function() {
+            return [
+              numbers.index_of({
+                id: 2
+              }), numbers.index_of({
+                id: 5
+              }), numbers.index_of({
+                id: 8
+              })
+            ].should.be.eql([-1, -1, -1]);
+          });
+          it('last value should be at position 6', function() {
+            return numbers.index_of({
+              id: 9
+            }).should.be.eql(6);
+          });
+          it('after updating the key of id 3 to 30, index_of( { id: 30 } ) should be 2', function() {
+            numbers.update([
+              [
+                {
+                  id: 3,
+                  n: 30
+                }, {
+                  id: 30,
+                  n: 30
+                }
+              ]
+            ]);
+            return [
+              numbers.index_of({
+                id: 30
+              }), numbers.index_of({
+                id: 3
+              })
+            ].should.be.eql([2, -1]);
+          });
+          it('after adding id 11, index_of( { id: 11 } ) should be 7', function() {
+            numbers.add([
+              {
+                id: 11,
+                n: 110
+              }
+            ]);
+            return numbers.index_of({
+              id: 11
+            }).should.be.eql(7);
+          });
+          it('should find values with composite keys after a remove', function() {
+            cars.remove([
+              {
+                id: 1,
+                model: "C Class"
+              }
+            ]);
+            return cars.index_of({
+              id: 3,
+              model: "M Serie"
+            }).should.be.eql(1);
+          });
+          it('after adding back the C Class, it should be found at the end', function() {
+            cars.add([
+              {
+                id: 1,
+                brand: "Mercedes",
+                model: "C Class"
+              }
+            ]);
+            return cars.index_of({
+              id: 1,
+              model: "C Class"
+            }).should.be.eql(2);
+          });
+          return it('should not confuse keys of different types or containing the # separator', function() {
+            var labels;
+            labels = xs.set([
+              {
+                id: 1,
+                label: 'number'
+              }, {
+                id: 'x#y',
+                part: 'z',
+                label: 'first'
+              }
+            ], {
+              key: ['id', 'part']
+            });
+            labels.add([
+              {
+                id: '1',
+                label: 'string'
+              }, {
+                id: 'x',
+                part: 'y#z',
+                label: 'second'
+              }
+            ]);
+            labels.fetch_all().length.should.be.eql(4);
+            labels.a[labels.index_of({
+              id: '1'
+            })].label.should.be.eql('string');
+            return labels.a[labels.index_of({
+              id: 'x',
+              part: 'y#z'
+            })].label.should.be.eql('second');
+          });
+        });
       });
       describe('remove():', function() {
         it('set.remove( [ { id: 1 } ] ).add( [ { id: 2 } ] ) should have id 2', function() {
@@ -1122,7 +1275,7 @@
           employee.notify(transaction);
           return employee.fetch_all().should.be.eql(result);
         });
-        return it('filter(): cities.filter( is_in_morocco ) should be equal to result', function() {
+        it('filter(): cities.filter( is_in_morocco ) should be equal to result', function() {
           var cities_in_morocco, is_in_morocco, result, transaction;
           is_in_morocco = function(o) {
             return o.country === "Morocco";
@@ -1222,6 +1375,248 @@
           ];
           return cities_in_morocco.fetch_all().should.be.eql(result);
         });
+        return describe('atomic transactions:', function() {
+          var accounts, balances;
+          accounts = xs.set([
+            {
+              id: 1,
+              balance: 100
+            }
+          ]);
+          balances = accounts.set();
+          balances.update = function(updates, options) {
+            var u, _i, _len;
+            for (_i = 0, _len = updates.length; _i < _len; _i++) {
+              u = updates[_i];
+              if (u[1].balance < 0) {
+                throw new Error("negative balance");
+              }
+            }
+            return XS.Set.prototype.update.call(this, updates, options);
+          };
+          it('should return a failure when an action fails downstream', function() {
+            var result;
+            result = accounts.notify([
+              {
+                action: "add",
+                objects: [
+                  {
+                    id: 2,
+                    balance: 50
+                  }
+                ]
+              }, {
+                action: "update",
+                objects: [
+                  [
+                    {
+                      id: 1,
+                      balance: 100
+                    }, {
+                      id: 1,
+                      balance: -10
+                    }
+                  ]
+                ]
+              }
+            ]).notify_result;
+            result.success.should.be["false"];
+            result.failed.should.be.eql(1);
+            result.error.message.should.be.eql("negative balance");
+            return result.rollback_errors.should.be.eql([]);
+          });
+          it('accounts should be rolled back with an empty anti-state', function() {
+            accounts.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            return accounts.b.should.be.eql([]);
+          });
+          it('balances should be rolled back with an empty anti-state', function() {
+            balances.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            return balances.b.should.be.eql([]);
+          });
+          it('should return a success when all actions succeed', function() {
+            var result;
+            result = accounts.notify([
+              {
+                action: "add",
+                objects: [
+                  {
+                    id: 2,
+                    balance: 50
+                  }
+                ]
+              }, {
+                action: "update",
+                objects: [
+                  [
+                    {
+                      id: 1,
+                      balance: 100
+                    }, {
+                      id: 1,
+                      balance: 80
+                    }
+                  ]
+                ]
+              }
+            ]).notify_result;
+            result.should.be.eql({
+              success: true,
+              count: 2
+            });
+            return balances.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 80
+              }, {
+                id: 2,
+                balance: 50
+              }
+            ]);
+          });
+          it('should not revert a failed action which did not execute', function() {
+            var guarded, guarded_copy, result;
+            guarded = xs.set([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            guarded_copy = guarded.set();
+            guarded.add = function(values, options) {
+              var v, _i, _len;
+              for (_i = 0, _len = values.length; _i < _len; _i++) {
+                v = values[_i];
+                if (v.balance < 0) {
+                  throw new Error("negative balance");
+                }
+              }
+              return XS.Set.prototype.add.call(this, values, options);
+            };
+            result = guarded.notify([
+              {
+                action: "remove",
+                objects: [
+                  {
+                    id: 1,
+                    balance: 100
+                  }
+                ]
+              }, {
+                action: "add",
+                objects: [
+                  {
+                    id: 2,
+                    balance: -10
+                  }
+                ]
+              }
+            ]).notify_result;
+            result.success.should.be["false"];
+            result.failed.should.be.eql(1);
+            guarded.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            guarded.b.should.be.eql([]);
+            guarded_copy.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            return guarded_copy.b.should.be.eql([]);
+          });
+          it('should only revert a failed action in downstream pipelets which executed it', function() {
+            var ledger, ledger_audit, ledger_copy, ledger_guarded, result, s, _i, _len, _ref, _results;
+            ledger = xs.set([
+              {
+                id: 1,
+                balance: 100
+              }
+            ]);
+            ledger_copy = ledger.set();
+            ledger_guarded = ledger.set();
+            ledger_guarded.add = function(values, options) {
+              var v, _i, _len;
+              for (_i = 0, _len = values.length; _i < _len; _i++) {
+                v = values[_i];
+                if (v.balance < 0) {
+                  throw new Error("negative balance");
+                }
+              }
+              return XS.Set.prototype.add.call(this, values, options);
+            };
+            ledger_audit = ledger.set();
+            result = ledger.notify([
+              {
+                action: "add",
+                objects: [
+                  {
+                    id: 3,
+                    balance: -5
+                  }
+                ]
+              }
+            ]).notify_result;
+            result.success.should.be["false"];
+            _ref = [ledger, ledger_copy, ledger_guarded, ledger_audit];
+            _results = [];
+            for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+              s = _ref[_i];
+              s.fetch_all().should.be.eql([
+                {
+                  id: 1,
+                  balance: 100
+                }
+              ]);
+              _results.push(s.b.should.be.eql([]));
+            }
+            return _results;
+          });
+          it('should return this, allowing chaining', function() {
+            return accounts.notify([]).should.be.equal(accounts);
+          });
+          return it('should not execute any action of a transaction with an unsupported action', function() {
+            var result;
+            result = accounts.notify([
+              {
+                action: "remove",
+                objects: [
+                  {
+                    id: 2,
+                    balance: 50
+                  }
+                ]
+              }, {
+                action: "clear"
+              }
+            ]).notify_result;
+            result.success.should.be["false"];
+            result.failed.should.be.eql(1);
+            result.error.message.should.be.eql("Pipelet..notify(), unsupported action: clear");
+            return accounts.fetch_all().should.be.eql([
+              {
+                id: 1,
+                balance: 80
+              }, {
+                id: 2,
+                balance: 50
+              }
+            ]);
+          });
+        });
       });
       return describe('order():', function() {
         var books, books_ordered_by_ascending_author, books_ordered_by_descending_author, books_ordered_by_descending_year, books_ordered_by_year, by_ascending_author, by_descending_author, organizer;
@@ -3649,7 +4044,7 @@
           ]);
         });
       });
-      return describe("remove Stephenie Meyer's sales in 2008 and Pierre Dukan's sales in 2000", function() {
+      describe("remove Stephenie Meyer's sales in 2008 and Pierre Dukan's sales in 2000", function() {
         it('should remove Stephenie Meyer and Pierre Dukan sales from books_sales_by_author', function() {
           books_sales.remove([
             {
@@ -3768,90 +4163,229 @@
           ]);
         });
       });
-    });
-    return describe('xs.join() authors, books, and books_sales:', function() {
-      var authors, books, books_sales, books_with_authors;
-      authors = xs.set([
-        {
-          id: 1,
-          name: "Charles Dickens"
-        }, {
-          id: 2,
-          name: "J. R. R. Tolkien"
-        }, {
-          id: 3,
-          name: "Dan Brown"
-        }, {
-          id: 4,
-          name: "Paulo Coelho"
-        }, {
-          id: 5,
-          name: "Stieg Larsson"
-        }, {
-          id: 6,
-          name: "William Holmes McGuffey"
-        }, {
-          id: 7,
-          name: "Suzanne Collins"
-        }, {
-          id: 8,
-          name: "J.K. Rowling"
-        }, {
-          id: 9,
-          name: "Pierre Dukan"
-        }, {
-          id: 10,
-          name: "Stephenie Meyer"
-        }, {
-          id: 11,
-          name: "Vladimir Nabokov"
-        }, {
-          id: 12,
-          name: "Agatha Christie"
-        }
-      ]);
-      books = xs.set([
-        {
-          id: 1,
-          title: "A Tale of Two Cities",
-          author_id: 1
-        }, {
-          id: 2,
-          title: "The Lord of the Rings",
-          author_id: 2
-        }, {
-          id: 3,
-          title: "The Da Vinci Code",
-          author_id: 3
-        }, {
-          id: 4,
-          title: "The Alchemist",
-          author_id: 4
-        }, {
-          id: 5,
-          title: "Angels and Demons",
-          author_id: 3
-        }, {
-          id: 6,
-          title: "The Girl with the Dragon Tattoo",
-          author_id: 5
-        }, {
-          id: 7,
-          title: "The McGuffey Readers",
-          author_id: 6
-        }, {
-          id: 8,
-          title: "The Hobbit",
-          author_id: 2
-        }, {
-          id: 9,
-          title: "The Hunger Games",
-          author_id: 7
-        }, {
-          id: 10,
-          title: "Harry Potter and the Prisoner of Azkaban",
-          author_id: 8
-        }, {
+      return describe("update The Hobbit's sales to 120 and Lolita's year to 1958", function() {
+        it('should add 20 to J. R. R. Tolkien sales in books_sales_by_author', function() {
+          books_sales.update([
+            [
+              {
+                id: 8,
+                title: "The Hobbit",
+                author: "J. R. R. Tolkien",
+                sales: 100,
+                year: 1937
+              }, {
+                id: 8,
+                title: "The Hobbit",
+                author: "J. R. R. Tolkien",
+                sales: 120,
+                year: 1937
+              }
+            ], [
+              {
+                id: 13,
+                title: "Lolita",
+                author: "Vladimir Nabokov",
+                sales: 50,
+                year: 1955
+              }, {
+                id: 13,
+                title: "Lolita",
+                author: "Vladimir Nabokov",
+                sales: 50,
+                year: 1958
+              }
+            ]
+          ]);
+          return books_sales_by_author.fetch_all().should.be.eql([
+            {
+              author: "Agatha Christie",
+              sales: 100,
+              _count: 1
+            }, {
+              author: "Charles Dickens",
+              sales: 200,
+              _count: 1
+            }, {
+              author: "Dan Brown",
+              sales: 244,
+              _count: 3
+            }, {
+              author: "Ellen G. White",
+              sales: 60,
+              _count: 1
+            }, {
+              author: "J. R. R. Tolkien",
+              sales: 270,
+              _count: 2
+            }, {
+              author: "J.K. Rowling",
+              sales: 0,
+              _count: 1
+            }, {
+              author: "Paulo Coelho",
+              sales: 65,
+              _count: 1
+            }, {
+              author: "Roald Dahl",
+              sales: 13,
+              _count: 1
+            }, {
+              author: "Stieg Larsson",
+              sales: 30,
+              _count: 1
+            }, {
+              author: "Suzanne Collins",
+              sales: 23,
+              _count: 1
+            }, {
+              author: "Vladimir Nabokov",
+              sales: 50,
+              _count: 1
+            }, {
+              author: "William Holmes McGuffey",
+              sales: 125,
+              _count: 1
+            }
+          ]);
+        });
+        return it('should add 20 to sales in 1937 and move Lolita sales from 1955 to 1958 in books_sales_by_year', function() {
+          return books_sales_by_year.fetch_all().should.be.eql([
+            {
+              sales: 125,
+              year: 1853,
+              _count: 1
+            }, {
+              sales: 200,
+              year: 1859,
+              _count: 1
+            }, {
+              sales: 120,
+              year: 1937,
+              _count: 1
+            }, {
+              sales: 150,
+              year: 1955,
+              _count: 1
+            }, {
+              sales: 50,
+              year: 1958,
+              _count: 1
+            }, {
+              sales: 65,
+              year: 1988,
+              _count: 1
+            }, {
+              sales: 0,
+              year: 1999,
+              _count: 1
+            }, {
+              sales: 39,
+              year: 2000,
+              _count: 1
+            }, {
+              sales: 80,
+              year: 2003,
+              _count: 1
+            }, {
+              sales: 125,
+              year: 2004,
+              _count: 1
+            }, {
+              sales: 30,
+              year: 2005,
+              _count: 1
+            }, {
+              sales: 23,
+              year: 2008,
+              _count: 1
+            }
+          ]);
+        });
+      });
+    });
+    describe('xs.join() authors, books, and books_sales:', function() {
+      var authors, books, books_sales, books_with_authors;
+      authors = xs.set([
+        {
+          id: 1,
+          name: "Charles Dickens"
+        }, {
+          id: 2,
+          name: "J. R. R. Tolkien"
+        }, {
+          id: 3,
+          name: "Dan Brown"
+        }, {
+          id: 4,
+          name: "Paulo Coelho"
+        }, {
+          id: 5,
+          name: "Stieg Larsson"
+        }, {
+          id: 6,
+          name: "William Holmes McGuffey"
+        }, {
+          id: 7,
+          name: "Suzanne Collins"
+        }, {
+          id: 8,
+          name: "J.K. Rowling"
+        }, {
+          id: 9,
+          name: "Pierre Dukan"
+        }, {
+          id: 10,
+          name: "Stephenie Meyer"
+        }, {
+          id: 11,
+          name: "Vladimir Nabokov"
+        }, {
+          id: 12,
+          name: "Agatha Christie"
+        }
+      ]);
+      books = xs.set([
+        {
+          id: 1,
+          title: "A Tale of Two Cities",
+          author_id: 1
+        }, {
+          id: 2,
+          title: "The Lord of the Rings",
+          author_id: 2
+        }, {
+          id: 3,
+          title: "The Da Vinci Code",
+          author_id: 3
+        }, {
+          id: 4,
+          title: "The Alchemist",
+          author_id: 4
+        }, {
+          id: 5,
+          title: "Angels and Demons",
+          author_id: 3
+        }, {
+          id: 6,
+          title: "The Girl with the Dragon Tattoo",
+          author_id: 5
+        }, {
+          id: 7,
+          title: "The McGuffey Readers",
+          author_id: 6
+        }, {
+          id: 8,
+          title: "The Hobbit",
+          author_id: 2
+        }, {
+          id: 9,
+          title: "The Hunger Games",
+          author_id: 7
+        }, {
+          id: 10,
+          title: "Harry Potter and the Prisoner of Azkaban",
+          author_id: 8
+        }, {
           id: 11,
           title: "The Dukan Diet",
           author_id: 9
@@ -4145,6 +4679,5314 @@
         });
       });
     });
+    describe('xs.conflicts():', function() {
+      var conflicts, employees, without_time;
+      without_time = function(conflicts) {
+        var c, _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = conflicts.length; _i < _len; _i++) {
+          c = conflicts[_i];
+          _results.push({
+            id: c.id,
+            action: c.action,
+            objects: c.objects
+          });
+        }
+        return _results;
+      };
+      employees = xs.set([
+        {
+          id: 1,
+          name: "Paul"
+        }, {
+          id: 2,
+          name: "Peter"
+        }
+      ]);
+      conflicts = employees.conflicts({
+        soon: 0
+      });
+      it('conflicts should be a Conflicts', function() {
+        return conflicts.should.be.an["instanceof"](XS.Conflicts);
+      });
+      it('conflicts should be empty', function() {
+        return conflicts.fetch_all().should.be.eql([]);
+      });
+      it('should not allow a second conflicts detector on the same set', function() {
+        return (function() {
+          return employees.conflicts();
+        }).should["throw"]();
+      });
+      it('removing a value not found should add a conflict', function() {
+        employees.remove([
+          {
+            id: 3,
+            name: "John"
+          }
+        ]);
+        return without_time(conflicts.fetch_all()).should.be.eql([
+          {
+            id: 1,
+            action: "remove",
+            objects: [
+              {
+                id: 3,
+                name: "John"
+              }
+            ]
+          }
+        ]);
+      });
+      it('updating a value not found should add a conflict with the options of the operation', function() {
+        var options;
+        employees.update([
+          [
+            {
+              id: 4,
+              name: "Jack"
+            }, {
+              id: 4,
+              name: "Jim"
+            }
+          ]
+        ], {
+          user: "joe"
+        });
+        without_time(conflicts.fetch_all()).should.be.eql([
+          {
+            id: 1,
+            action: "remove",
+            objects: [
+              {
+                id: 3,
+                name: "John"
+              }
+            ]
+          }, {
+            id: 2,
+            action: "update",
+            objects: [
+              [
+                {
+                  id: 4,
+                  name: "Jack"
+                }, {
+                  id: 4,
+                  name: "Jim"
+                }
+              ]
+            ]
+          }
+        ]);
+        options = conflicts.fetch_all()[1].options;
+        options.user.should.be.eql("joe");
+        return options.metadata.transaction_id.should.be.a('string');
+      });
+      it('adding the removed value should resolve the first conflict', function() {
+        employees.add([
+          {
+            id: 3,
+            name: "John"
+          }
+        ]);
+        return without_time(conflicts.fetch_all()).should.be.eql([
+          {
+            id: 2,
+            action: "update",
+            objects: [
+              [
+                {
+                  id: 4,
+                  name: "Jack"
+                }, {
+                  id: 4,
+                  name: "Jim"
+                }
+              ]
+            ]
+          }
+        ]);
+      });
+      it('employees should not contain John', function() {
+        return employees.fetch_all().should.be.eql([
+          {
+            id: 1,
+            name: "Paul"
+          }, {
+            id: 2,
+            name: "Peter"
+          }, {
+            id: 4,
+            name: "Jim"
+          }
+        ]);
+      });
+      return describe('with a soon delay of 50 ms:', function() {
+        var cities, cities_conflicts;
+        cities = xs.set([
+          {
+            id: 1,
+            name: "Paris"
+          }
+        ]);
+        cities_conflicts = cities.conflicts({
+          soon: 50
+        });
+        it('should not add conflicts before 50 ms', function() {
+          cities.remove([
+            {
+              id: 2,
+              name: "London"
+            }
+          ]);
+          cities.remove([
+            {
+              id: 3,
+              name: "Berlin"
+            }
+          ]);
+          return cities_conflicts.fetch_all().should.be.eql([]);
+        });
+        it('should not add a conflict resolved before 50 ms', function() {
+          cities.add([
+            {
+              id: 3,
+              name: "Berlin"
+            }
+          ]);
+          return cities_conflicts.fetch_all().should.be.eql([]);
+        });
+        it('should add the remaining conflict after 50 ms', function(done) {
+          return setTimeout((function() {
+            return check(done, function() {
+              return without_time(cities_conflicts.fetch_all()).should.be.eql([
+                {
+                  id: 1,
+                  action: "remove",
+                  objects: [
+                    {
+                      id: 2,
+                      name: "London"
+                    }
+                  ]
+                }
+              ]);
+            });
+          }), 80);
+        });
+        return it('should remove the conflict when resolved', function() {
+          cities.add([
+            {
+              id: 2,
+              name: "London"
+            }
+          ]);
+          return cities_conflicts.fetch_all().should.be.eql([]);
+        });
+      });
+    });
+    describe('xs.resolve_by_revert():', function() {
+      var products, products_conflicts;
+      products = xs.set([
+        {
+          id: 1,
+          name: "Laptop"
+        }, {
+          id: 2,
+          name: "Phone"
+        }
+      ]);
+      products_conflicts = products.conflicts({
+        soon: 0
+      });
+      products_conflicts.resolve_by_revert();
+      it('should revert a remove not found', function() {
+        products.remove([
+          {
+            id: 3,
+            name: "Tablet"
+          }
+        ]);
+        products.fetch_all().should.be.eql([
+          {
+            id: 1,
+            name: "Laptop"
+          }, {
+            id: 2,
+            name: "Phone"
+          }
+        ]);
+        products.b.should.be.eql([]);
+        return products_conflicts.fetch_all().should.be.eql([]);
+      });
+      it('should revert an update not found', function() {
+        products.update([
+          [
+            {
+              id: 4,
+              name: "Watch"
+            }, {
+              id: 4,
+              name: "Smart Watch"
+            }
+          ]
+        ]);
+        products.fetch_all().should.be.eql([
+          {
+            id: 1,
+            name: "Laptop"
+          }, {
+            id: 2,
+            name: "Phone"
+          }
+        ]);
+        products.b.should.be.eql([]);
+        return products_conflicts.fetch_all().should.be.eql([]);
+      });
+      return describe('with a manual review policy for updates:', function() {
+        var stores, stores_conflicts;
+        stores = xs.set([
+          {
+            id: 1,
+            city: "Paris"
+          }
+        ]);
+        stores_conflicts = stores.conflicts({
+          soon: 0
+        });
+        stores_conflicts.resolve_by_revert({
+          policy: function(conflict, revert) {
+            if (conflict.action === "update") {
+              return null;
+            } else {
+              return revert;
+            }
+          }
+        });
+        it('should revert a remove not found', function() {
+          stores.remove([
+            {
+              id: 2,
+              city: "Rome"
+            }
+          ]);
+          stores.b.should.be.eql([]);
+          return stores_conflicts.fetch_all().should.be.eql([]);
+        });
+        it('should leave an update not found for manual review', function() {
+          stores.update([
+            [
+              {
+                id: 3,
+                city: "Lyon"
+              }, {
+                id: 3,
+                city: "Nice"
+              }
+            ]
+          ]);
+          stores.fetch_all().should.be.eql([
+            {
+              id: 1,
+              city: "Paris"
+            }, {
+              id: 3,
+              city: "Nice"
+            }
+          ]);
+          stores.b.should.be.eql([
+            {
+              id: 3,
+              city: "Lyon"
+            }
+          ]);
+          return stores_conflicts.fetch_all().length.should.be.eql(1);
+        });
+        return it('should remove the conflict once resolved manually', function() {
+          stores.notify([
+            {
+              action: "add",
+              objects: [
+                {
+                  id: 3,
+                  city: "Lyon"
+                }
+              ]
+            }
+          ]);
+          stores.b.should.be.eql([]);
+          return stores_conflicts.fetch_all().should.be.eql([]);
+        });
+      });
+    });
+    describe('chunked fetch():', function() {
+      var i, numbers;
+      numbers = (function() {
+        var _i, _results;
+        _results = [];
+        for (i = _i = 1; _i <= 10; i = ++_i) {
+          _results.push({
+            id: i
+          });
+        }
+        return _results;
+      })();
+      describe('Set with a chunk_size of 4:', function() {
+        var copy, source;
+        source = copy = null;
+        it('should deliver the first chunk immediately', function() {
+          source = xs.set(numbers, {
+            chunk_size: 4
+          });
+          copy = source.set();
+          return copy.fetch_all().should.be.eql(numbers.slice(0, 4));
+        });
+        it('source.fetch_all() should still be synchronous', function() {
+          return source.fetch_all().should.be.eql(numbers);
+        });
+        it('fetch_all() of a stateless pipelet downstream should still be synchronous', function() {
+          return source.filter(function(v) {
+            return v.id > 8;
+          }).fetch_all().should.be.eql([
+            {
+              id: 9
+            }, {
+              id: 10
+            }
+          ]);
+        });
+        return it('should deliver all chunks asynchronously', function(done) {
+          return setTimeout((function() {
+            return check(done, function() {
+              return copy.fetch_all().should.be.eql(numbers);
+            });
+          }), 20);
+        });
+      });
+      describe('Set modified while fetching:', function() {
+        var copy, source;
+        source = copy = null;
+        it('should deliver remaining chunks before an add', function() {
+          source = xs.set(numbers, {
+            chunk_size: 3,
+            chunk_delay: 1000
+          });
+          copy = source.set();
+          source.add([
+            {
+              id: 11
+            }
+          ]);
+          return copy.fetch_all().should.be.eql(numbers.concat([
+            {
+              id: 11
+            }
+          ]));
+        });
+        return it('should then forward operations', function() {
+          source.remove([
+            {
+              id: 1
+            }
+          ]);
+          return copy.fetch_all().should.be.eql(numbers.slice(1).concat([
+            {
+              id: 11
+            }
+          ]));
+        });
+      });
+      describe('Order with a chunk_size of 3:', function() {
+        var expected, ordered;
+        expected = numbers.slice(0).reverse();
+        ordered = null;
+        it('should deliver the first chunk immediately', function() {
+          var reversed;
+          reversed = xs.set(numbers).order([
+            {
+              id: 'id',
+              descending: true
+            }
+          ], {
+            chunk_size: 3
+          });
+          ordered = reversed.ordered();
+          return ordered.fetch_all().should.be.eql(expected.slice(0, 3));
+        });
+        return it('should insert following chunks in order', function(done) {
+          return setTimeout((function() {
+            return check(done, function() {
+              return ordered.fetch_all().should.be.eql(expected);
+            });
+          }), 20);
+        });
+      });
+      return describe('Union of a chunked Set and a Set:', function() {
+        return it('should deliver all chunks of all sources once', function(done) {
+          var all, union;
+          union = xs.union([
+            xs.set(numbers, {
+              chunk_size: 4
+            }), xs.set([
+              {
+                id: 11
+              }
+            ])
+          ]);
+          all = union.set();
+          return setTimeout((function() {
+            return check(done, function() {
+              return all.fetch_all().should.be.eql(numbers.slice(0, 4).concat([
+                {
+                  id: 11
+                }
+              ], numbers.slice(4)));
+            });
+          }), 20);
+        });
+      });
+    });
+    describe('dispose():', function() {
+      var copy, even, is_even, source, view;
+      is_even = function(v) {
+        return v.id % 2 === 0;
+      };
+      source = xs.set([
+        {
+          id: 1
+        }, {
+          id: 2
+        }
+      ]);
+      even = source.filter(is_even);
+      view = even.set();
+      copy = source.set();
+      it('source should have an implicit fork to even and copy', function() {
+        source.destination.should.be.an["instanceof"](XS.Fork);
+        return source.destination.destinations.should.be.eql([even, copy]);
+      });
+      it('view.dispose() should dispose even and drop the implicit fork of source', function() {
+        view.dispose();
+        source.destination.should.be.equal(copy);
+        (even.source === void 0).should.be["true"];
+        return (even.destination === void 0).should.be["true"];
+      });
+      it('view should be released', function() {
+        return view.fetch_all().should.be.eql([]);
+      });
+      it('source should still feed copy', function() {
+        source.add([
+          {
+            id: 4
+          }
+        ]);
+        return copy.fetch_all().should.be.eql([
+          {
+            id: 1
+          }, {
+            id: 2
+          }, {
+            id: 4
+          }
+        ]);
+      });
+      it('should drop an implicit union when only one source remains', function() {
+        var all, other;
+        other = xs.set([
+          {
+            id: 3
+          }
+        ]);
+        all = source.set();
+        all.add_source(other);
+        all.source.should.be.an["instanceof"](XS.Union);
+        all.remove_source(other);
+        return all.source.should.be.equal(source);
+      });
+      it('should dispose the conflicts detector of a set', function() {
+        var set, set_conflicts;
+        set = xs.set();
+        set_conflicts = set.conflicts({
+          soon: 100
+        });
+        set.remove([
+          {
+            id: 1
+          }
+        ]);
+        set.dispose();
+        (set.anti_state_destination === void 0).should.be["true"];
+        return (set_conflicts.timer === null).should.be["true"];
+      });
+      return it('should stop chunked fetches in progress', function() {
+        var set, set_copy;
+        set = xs.set([
+          {
+            id: 1
+          }, {
+            id: 2
+          }, {
+            id: 3
+          }
+        ], {
+          chunk_size: 1,
+          chunk_delay: 1000
+        });
+        set_copy = set.set();
+        set.fetching.length.should.be.eql(1);
+        set.dispose();
+        return set.fetching.should.be.eql([]);
+      });
+    });
+    describe('xs.graph():', function() {
+      var by_model, copy, graph, node, sorted, source;
+      source = xs.set([
+        {
+          id: 1,
+          model: 'Mégane'
+        }
+      ], {
+        name: 'cars'
+      });
+      by_model = xs.set([
+        {
+          id: 'model'
+        }
+      ]);
+      sorted = source.order(by_model, {
+        name: 'sorted'
+      });
+      copy = source.set([], {
+        name: 'copy'
+      });
+      graph = xs.graph(source);
+      node = function(name) {
+        var n;
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = graph.nodes;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            n = _ref[_i];
+            if (n.name === name) {
+              _results.push(n);
+            }
+          }
+          return _results;
+        })())[0];
+      };
+      it('should describe source as the first node', function() {
+        return graph.nodes[0].should.be.eql({
+          id: 1,
+          "class": 'Set',
+          name: 'cars',
+          key: ['id'],
+          options: {
+            name: 'cars',
+            key: ['id']
+          },
+          implicit: false
+        });
+      });
+      it('should describe the implicit fork of source', function() {
+        var forks, n;
+        forks = (function() {
+          var _i, _len, _ref, _results;
+          _ref = graph.nodes;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            n = _ref[_i];
+            if (n["class"] === 'Fork') {
+              _results.push(n);
+            }
+          }
+          return _results;
+        })();
+        forks.length.should.be.eql(1);
+        return forks[0].implicit.should.be["true"];
+      });
+      it('should connect source to the fork and the fork to its destinations', function() {
+        var fork, n;
+        fork = ((function() {
+          var _i, _len, _ref, _results;
+          _ref = graph.nodes;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            n = _ref[_i];
+            if (n["class"] === 'Fork') {
+              _results.push(n);
+            }
+          }
+          return _results;
+        })())[0];
+        graph.edges.should.include({
+          from: 1,
+          to: fork.id
+        });
+        graph.edges.should.include({
+          from: fork.id,
+          to: node('sorted').id
+        });
+        return graph.edges.should.include({
+          from: fork.id,
+          to: node('copy').id
+        });
+      });
+      it('should not connect source directly to the destinations of its fork', function() {
+        graph.edges.should.not.include({
+          from: 1,
+          to: node('sorted').id
+        });
+        return graph.edges.should.not.include({
+          from: 1,
+          to: node('copy').id
+        });
+      });
+      it('should reference the order organizer and walk its source', function() {
+        var n, organizer;
+        sorted = node('sorted').id;
+        organizer = ((function() {
+          var _i, _len, _ref, _results;
+          _ref = graph.nodes;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            n = _ref[_i];
+            if (n["class"] === 'Order_Organizer') {
+              _results.push(n);
+            }
+          }
+          return _results;
+        })())[0].id;
+        graph.edges.should.include({
+          from: sorted,
+          to: organizer,
+          reference: 'order_organizer'
+        });
+        graph.edges.should.include({
+          from: graph.nodes.length,
+          to: organizer
+        });
+        return graph.nodes.length.should.be.eql(6);
+      });
+      it('should describe an implicit union once from its sources', function() {
+        var all, g, union;
+        all = xs.set([], {
+          name: 'all'
+        });
+        all.add_source(xs.set([], {
+          name: 'first'
+        }));
+        all.add_source(xs.set([], {
+          name: 'second'
+        }));
+        g = xs.graph(all);
+        union = g.nodes[1];
+        union["class"].should.be.eql('Union');
+        union.implicit.should.be["true"];
+        return g.edges.should.be.eql([
+          {
+            from: 2,
+            to: 1
+          }, {
+            from: 3,
+            to: 2
+          }, {
+            from: 4,
+            to: 2
+          }
+        ]);
+      });
+      it('should be JSON-serializable', function() {
+        return JSON.parse(JSON.stringify(graph)).should.be.eql(graph);
+      });
+      it('should describe functions and pipelets in options', function() {
+        var g;
+        g = xs.graph(xs.set([], {
+          transform: (function() {}),
+          other: by_model
+        }));
+        g.nodes[0].options.transform.should.be.eql('function');
+        return g.nodes[0].options.other.should.be.eql('pipelet');
+      });
+      return it('should render a Graphviz DOT digraph', function() {
+        var g;
+        g = xs.graph(xs.set([], {
+          name: 'say "hi"'
+        }).set());
+        return xs.dot(g).should.be.eql(['digraph "xs" {', '  node [ shape = box ];', '  n1 [ label = "Set\\nkey: id" ];', '  n2 [ label = "Set\\nname: say \\"hi\\"\\nkey: id" ];', '  n2 -> n1;', '}', ''].join('\n'));
+      });
+    });
+    describe('trace():', function() {
+      var traced, traced_copy, traced_source, traces, without_time;
+      traces = [];
+      without_time = function(traces) {
+        var t, _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = traces.length; _i < _len; _i++) {
+          t = traces[_i];
+          t.time.should.be.an["instanceof"](Date);
+          t.duration.should.be.a('number');
+          t = extend({}, t);
+          delete t.time;
+          delete t.duration;
+          _results.push(t);
+        }
+        return _results;
+      };
+      traced_source = xs.set([
+        {
+          id: 1
+        }
+      ]);
+      traced = traced_source.trace({
+        name: 'source',
+        log: function(t) {
+          return traces.push(t);
+        }
+      });
+      traced_copy = traced.set([]);
+      it('should trace the initial add from source then the fetch from traced_copy', function() {
+        return without_time(traces).should.be.eql([
+          {
+            name: 'source',
+            operation: 'add',
+            count: 1,
+            values: [
+              {
+                id: 1
+              }
+            ],
+            options: void 0
+          }, {
+            name: 'source',
+            operation: 'fetch',
+            count: 1,
+            values: [
+              {
+                id: 1
+              }
+            ],
+            options: void 0,
+            no_more: true
+          }
+        ]);
+      });
+      it('should forward and trace add with options', function() {
+        var metadata;
+        traces = [];
+        metadata = {
+          transaction_id: 'add 2',
+          time: 1
+        };
+        traced_source.add([
+          {
+            id: 2
+          }
+        ], {
+          more: true,
+          metadata: metadata
+        });
+        traced_copy.fetch_all().should.be.eql([
+          {
+            id: 1
+          }, {
+            id: 2
+          }
+        ]);
+        return without_time(traces).should.be.eql([
+          {
+            name: 'source',
+            operation: 'add',
+            count: 1,
+            values: [
+              {
+                id: 2
+              }
+            ],
+            options: {
+              more: true,
+              metadata: metadata
+            }
+          }
+        ]);
+      });
+      it('should forward and trace update, remove and clear', function() {
+        var t;
+        traces = [];
+        traced_source.update([
+          [
+            {
+              id: 2
+            }, {
+              id: 2,
+              v: 1
+            }
+          ]
+        ]);
+        traced_source.remove([
+          {
+            id: 1
+          }
+        ]);
+        traced_copy.fetch_all().should.be.eql([
+          {
+            id: 2,
+            v: 1
+          }
+        ]);
+        traced.clear();
+        traced_copy.fetch_all().should.be.eql([]);
+        ((function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = traces.length; _i < _len; _i++) {
+            t = traces[_i];
+            _results.push(t.operation);
+          }
+          return _results;
+        })()).should.be.eql(['update', 'remove', 'clear']);
+        traces[0].values.should.be.eql([
+          [
+            {
+              id: 2
+            }, {
+              id: 2,
+              v: 1
+            }
+          ]
+        ]);
+        return traces[2].count.should.be.eql(0);
+      });
+      it('should forward clear options downstream', function() {
+        var downstream, metadata;
+        downstream = [];
+        traced.trace({
+          log: function(t) {
+            return downstream.push(t);
+          }
+        });
+        metadata = {
+          transaction_id: 'clear 1',
+          time: 1
+        };
+        traced.clear({
+          metadata: metadata
+        });
+        downstream[downstream.length - 1].operation.should.be.eql('clear');
+        return downstream[downstream.length - 1].options.should.be.eql({
+          metadata: metadata
+        });
+      });
+      it('should only trace included operations', function() {
+        var included, set;
+        included = [];
+        set = xs.set([
+          {
+            id: 1
+          }
+        ]);
+        set.trace({
+          include: ['remove'],
+          log: function(t) {
+            return included.push(t.operation);
+          }
+        }).set([]);
+        set.add([
+          {
+            id: 2
+          }
+        ]);
+        set.remove([
+          {
+            id: 1
+          }
+        ]);
+        return included.should.be.eql(['remove']);
+      });
+      return it('should not trace excluded operations', function() {
+        var excluded, set;
+        excluded = [];
+        set = xs.set([
+          {
+            id: 1
+          }
+        ]);
+        set.trace({
+          exclude: ['fetch', 'add'],
+          log: function(t) {
+            return excluded.push(t.operation);
+          }
+        }).set([]);
+        set.add([
+          {
+            id: 2
+          }
+        ]);
+        set.remove([
+          {
+            id: 1
+          }
+        ]);
+        return excluded.should.be.eql(['remove']);
+      });
+    });
+    describe('operations metadata:', function() {
+      var traced_operations, with_transaction;
+      traced_operations = function(pipelet) {
+        var operations;
+        operations = [];
+        pipelet.trace({
+          exclude: ['fetch'],
+          log: function(t) {
+            return operations.push(t);
+          }
+        });
+        return operations;
+      };
+      with_transaction = function(operations, transaction_id) {
+        var t, _i, _len, _ref, _ref1, _results;
+        _results = [];
+        for (_i = 0, _len = operations.length; _i < _len; _i++) {
+          t = operations[_i];
+          if (((_ref = t.options) != null ? (_ref1 = _ref.metadata) != null ? _ref1.transaction_id : void 0 : void 0) === transaction_id) {
+            _results.push(t);
+          }
+        }
+        return _results;
+      };
+      it('should attach metadata to operations entering a set, with set metadata defaults', function() {
+        var metadata, operations, set;
+        set = xs.set([], {
+          metadata: {
+            user_id: 'system'
+          }
+        });
+        operations = traced_operations(set);
+        set.add([
+          {
+            id: 1
+          }
+        ]);
+        metadata = operations[0].options.metadata;
+        metadata.user_id.should.be.eql('system');
+        metadata.transaction_id.should.be.a('string');
+        return metadata.time.should.be.a('number');
+      });
+      it('should complete partial metadata provided with an operation', function() {
+        var operations, options, set;
+        set = xs.set([], {
+          metadata: {
+            user_id: 'system'
+          }
+        });
+        operations = traced_operations(set);
+        set.add([
+          {
+            id: 1
+          }
+        ], {
+          metadata: {
+            user_id: 'john'
+          },
+          more: true
+        });
+        options = operations[0].options;
+        options.more.should.be["true"];
+        options.metadata.user_id.should.be.eql('john');
+        return options.metadata.transaction_id.should.be.a('string');
+      });
+      it('should generate a different transaction id for each operation', function() {
+        var ids, operations, set, t;
+        set = xs.set([]);
+        operations = traced_operations(set);
+        set.add([
+          {
+            id: 1
+          }
+        ]);
+        set.remove([
+          {
+            id: 1
+          }
+        ]);
+        set.clear();
+        ids = (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = operations.length; _i < _len; _i++) {
+            t = operations[_i];
+            _results.push(t.options.metadata.transaction_id);
+          }
+          return _results;
+        })();
+        ids.length.should.be.eql(3);
+        ids[0].should.not.be.eql(ids[1]);
+        return ids[1].should.not.be.eql(ids[2]);
+      });
+      it('should use the same transaction id for all actions of notify()', function() {
+        var metadata, operations, result, set, t;
+        set = xs.set([]);
+        operations = traced_operations(set);
+        result = set.notify([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 1
+              }, {
+                id: 2
+              }
+            ]
+          }, {
+            action: 'update',
+            objects: [
+              [
+                {
+                  id: 1
+                }, {
+                  id: 1,
+                  v: 1
+                }
+              ]
+            ]
+          }, {
+            action: 'remove',
+            objects: [
+              {
+                id: 2
+              }
+            ]
+          }
+        ], {
+          metadata: {
+            user_id: 'john'
+          }
+        }).notify_result;
+        result.success.should.be["true"];
+        ((function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = operations.length; _i < _len; _i++) {
+            t = operations[_i];
+            _results.push(t.operation);
+          }
+          return _results;
+        })()).should.be.eql(['add', 'update', 'remove']);
+        metadata = operations[0].options.metadata;
+        metadata.user_id.should.be.eql('john');
+        operations[1].options.metadata.should.be.equal(metadata);
+        return operations[2].options.metadata.should.be.equal(metadata);
+      });
+      it('should be forwarded intact by fork, filter, order, union, aggregate and join', function() {
+        var by_author, forwarded, merge, metadata, operations, sales, t, traced, writers, _i, _len, _results;
+        metadata = {
+          transaction_id: 'sale 3',
+          time: 1,
+          user_id: 'john'
+        };
+        sales = xs.set([
+          {
+            id: 1,
+            author_id: 1,
+            sales: 10
+          }
+        ]);
+        by_author = xs.set([
+          {
+            id: 'author_id'
+          }
+        ]);
+        writers = xs.set([
+          {
+            id: 1,
+            name: 'Charles Dickens'
+          }, {
+            id: 2,
+            name: 'Dan Brown'
+          }
+        ]);
+        merge = function(sale, writer) {
+          return extend({
+            name: writer != null ? writer.name : void 0
+          }, sale);
+        };
+        traced = [
+          traced_operations(sales.filter(function(sale) {
+            return sale.sales > 5;
+          })), traced_operations(sales.order(by_author)), traced_operations(xs.union([sales, xs.set([])])), traced_operations(sales.aggregate(xs.set([
+            {
+              id: 'sales'
+            }
+          ]), by_author)), traced_operations(sales.join(writers, [['author_id', 'id']], merge))
+        ];
+        sales.add([
+          {
+            id: 3,
+            author_id: 2,
+            sales: 20
+          }
+        ], {
+          metadata: metadata
+        });
+        sales.update([
+          [
+            {
+              id: 1,
+              author_id: 1,
+              sales: 10
+            }, {
+              id: 1,
+              author_id: 1,
+              sales: 15
+            }
+          ]
+        ], {
+          metadata: metadata
+        });
+        _results = [];
+        for (_i = 0, _len = traced.length; _i < _len; _i++) {
+          operations = traced[_i];
+          forwarded = with_transaction(operations, 'sale 3');
+          forwarded.length.should.be.above(0);
+          _results.push((function() {
+            var _j, _len1, _results1;
+            _results1 = [];
+            for (_j = 0, _len1 = forwarded.length; _j < _len1; _j++) {
+              t = forwarded[_j];
+              t.options.metadata.should.be.equal(metadata);
+              _results1.push((t.options.locations === void 0 || t.options.locations instanceof Array).should.be["true"]);
+            }
+            return _results1;
+          })());
+        }
+        return _results;
+      });
+      return it('should not forward the locations of an upstream order through a filter', function() {
+        var operations, ordered;
+        ordered = xs.set([]).order(xs.set([
+          {
+            id: 'id'
+          }
+        ]));
+        operations = traced_operations(ordered.filter(function(v) {
+          return v.id > 0;
+        }));
+        ordered.add([
+          {
+            id: 1
+          }
+        ]);
+        operations[0].options.metadata.transaction_id.should.be.a('string');
+        return (operations[0].options.locations === void 0).should.be["true"];
+      });
+    });
+    describe('transactions batched using the more option:', function() {
+      var by_id;
+      by_id = function(v) {
+        return '' + v.id;
+      };
+      describe('XS.Pipelet.coalesce():', function() {
+        var coalesce;
+        coalesce = XS.Pipelet.coalesce;
+        it('should cancel an add followed by a remove', function() {
+          return coalesce([
+            {
+              action: 'add',
+              objects: [
+                {
+                  id: 1
+                }, {
+                  id: 2
+                }
+              ]
+            }, {
+              action: 'remove',
+              objects: [
+                {
+                  id: 1
+                }
+              ]
+            }
+          ], by_id).should.be.eql([
+            {
+              action: 'add',
+              objects: [
+                {
+                  id: 2
+                }
+              ]
+            }
+          ]);
+        });
+        it('should turn a remove followed by an add into an update', function() {
+          return coalesce([
+            {
+              action: 'remove',
+              objects: [
+                {
+                  id: 1,
+                  v: 1
+                }
+              ]
+            }, {
+              action: 'add',
+              objects: [
+                {
+                  id: 1,
+                  v: 2
+                }
+              ]
+            }
+          ], by_id).should.be.eql([
+            {
+              action: 'update',
+              objects: [
+                [
+                  {
+                    id: 1,
+                    v: 1
+                  }, {
+                    id: 1,
+                    v: 2
+                  }
+                ]
+              ]
+            }
+          ]);
+        });
+        it('should collapse successive updates, and an update followed by a remove', function() {
+          return coalesce([
+            {
+              action: 'update',
+              objects: [
+                [
+                  {
+                    id: 1,
+                    v: 1
+                  }, {
+                    id: 1,
+                    v: 2
+                  }
+                ], [
+                  {
+                    id: 2,
+                    v: 1
+                  }, {
+                    id: 2,
+                    v: 2
+                  }
+                ]
+              ]
+            }, {
+              action: 'update',
+              objects: [
+                [
+                  {
+                    id: 1,
+                    v: 2
+                  }, {
+                    id: 1,
+                    v: 3
+                  }
+                ]
+              ]
+            }, {
+              action: 'remove',
+              objects: [
+                {
+                  id: 2,
+                  v: 2
+                }
+              ]
+            }
+          ], by_id).should.be.eql([
+            {
+              action: 'remove',
+              objects: [
+                {
+                  id: 2,
+                  v: 1
+                }
+              ]
+            }, {
+              action: 'update',
+              objects: [
+                [
+                  {
+                    id: 1,
+                    v: 1
+                  }, {
+                    id: 1,
+                    v: 3
+                  }
+                ]
+              ]
+            }
+          ]);
+        });
+        return it('should discard operations before a clear', function() {
+          return coalesce([
+            {
+              action: 'add',
+              objects: [
+                {
+                  id: 1
+                }
+              ]
+            }, {
+              action: 'clear'
+            }, {
+              action: 'add',
+              objects: [
+                {
+                  id: 2
+                }
+              ]
+            }
+          ], by_id).should.be.eql([
+            {
+              action: 'clear'
+            }, {
+              action: 'add',
+              objects: [
+                {
+                  id: 2
+                }
+              ]
+            }
+          ]);
+        });
+      });
+      describe('batch():', function() {
+        var batched, batched_copy, batched_operations, batched_source;
+        batched_operations = [];
+        batched_source = xs.set([
+          {
+            id: 1,
+            v: 1
+          }
+        ]);
+        batched = batched_source.batch();
+        batched_copy = batched.set([]);
+        batched.trace({
+          exclude: ['fetch'],
+          log: function(t) {
+            return batched_operations.push(t);
+          }
+        });
+        it('should forward operations that are not part of a transaction', function() {
+          batched_source.add([
+            {
+              id: 2,
+              v: 1
+            }
+          ]);
+          return batched_copy.fetch_all().should.be.eql([
+            {
+              id: 1,
+              v: 1
+            }, {
+              id: 2,
+              v: 1
+            }
+          ]);
+        });
+        it('should buffer operations with more', function() {
+          batched_operations = [];
+          batched_source.add([
+            {
+              id: 3,
+              v: 1
+            }
+          ], {
+            more: true
+          });
+          batched_source.update([
+            [
+              {
+                id: 1,
+                v: 1
+              }, {
+                id: 1,
+                v: 2
+              }
+            ]
+          ], {
+            more: true
+          });
+          batched_source.remove([
+            {
+              id: 3,
+              v: 1
+            }
+          ], {
+            more: true
+          });
+          batched_operations.should.be.eql([]);
+          return batched_copy.fetch_all().should.be.eql([
+            {
+              id: 1,
+              v: 1
+            }, {
+              id: 2,
+              v: 1
+            }
+          ]);
+        });
+        it('should emit one coalesced change at the end of the transaction', function() {
+          var t;
+          batched_source.update([
+            [
+              {
+                id: 2,
+                v: 1
+              }, {
+                id: 2,
+                v: 2
+              }
+            ]
+          ]);
+          batched_copy.fetch_all().should.be.eql([
+            {
+              id: 1,
+              v: 2
+            }, {
+              id: 2,
+              v: 2
+            }
+          ]);
+          ((function() {
+            var _i, _len, _results;
+            _results = [];
+            for (_i = 0, _len = batched_operations.length; _i < _len; _i++) {
+              t = batched_operations[_i];
+              _results.push(t.operation);
+            }
+            return _results;
+          })()).should.be.eql(['update']);
+          batched_operations[0].values.should.be.eql([
+            [
+              {
+                id: 1,
+                v: 1
+              }, {
+                id: 1,
+                v: 2
+              }
+            ], [
+              {
+                id: 2,
+                v: 1
+              }, {
+                id: 2,
+                v: 2
+              }
+            ]
+          ]);
+          return (batched_operations[0].options.more === void 0).should.be["true"];
+        });
+        return it('should merge the metadata of buffered operations, the first taking precedence', function() {
+          var metadata;
+          batched_operations = [];
+          batched_source.add([
+            {
+              id: 4,
+              v: 1
+            }
+          ], {
+            more: true,
+            metadata: {
+              transaction_id: 't1',
+              user_id: 'u1'
+            }
+          });
+          batched_source.add([
+            {
+              id: 5,
+              v: 1
+            }
+          ], {
+            metadata: {
+              transaction_id: 't2',
+              time: 1
+            }
+          });
+          metadata = batched_operations[0].options.metadata;
+          metadata.transaction_id.should.be.eql('t1');
+          return metadata.user_id.should.be.eql('u1');
+        });
+      });
+      describe('filter():', function() {
+        return it('should terminate transactions which last operation is filtered out', function() {
+          var numbers, positive_numbers;
+          numbers = xs.set([]);
+          positive_numbers = numbers.filter(function(v) {
+            return v.n > 0;
+          }).order([
+            {
+              id: 'n'
+            }
+          ]);
+          numbers.add([
+            {
+              id: 1,
+              n: 1
+            }
+          ], {
+            more: true
+          });
+          numbers.add([
+            {
+              id: 2,
+              n: -1
+            }
+          ]);
+          positive_numbers.fetch_all().should.be.eql([
+            {
+              id: 1,
+              n: 1
+            }
+          ]);
+          return (positive_numbers._batched === void 0).should.be["true"];
+        });
+      });
+      describe('set():', function() {
+        return it('should forward empty adds terminating transactions', function() {
+          var accounts, sorted_accounts;
+          accounts = xs.set([]);
+          sorted_accounts = accounts.set().order([
+            {
+              id: 'id'
+            }
+          ]);
+          accounts.add([
+            {
+              id: 1
+            }
+          ], {
+            more: true
+          });
+          accounts.add([]);
+          sorted_accounts.fetch_all().should.be.eql([
+            {
+              id: 1
+            }
+          ]);
+          return (sorted_accounts._batched === void 0).should.be["true"];
+        });
+      });
+      describe('order():', function() {
+        return it('should apply a transaction once terminated, emitting more on all but the last operation', function() {
+          var books, by_year, ordered_operations, t;
+          ordered_operations = [];
+          books = xs.set([
+            {
+              id: 1,
+              year: 2000
+            }, {
+              id: 2,
+              year: 1990
+            }
+          ]);
+          by_year = books.order(xs.set([
+            {
+              id: 'year'
+            }
+          ]));
+          by_year.trace({
+            exclude: ['fetch'],
+            log: function(t) {
+              return ordered_operations.push(t);
+            }
+          });
+          ordered_operations = [];
+          books.add([
+            {
+              id: 3,
+              year: 1980
+            }
+          ], {
+            more: true
+          });
+          ordered_operations.should.be.eql([]);
+          by_year.fetch_all().should.be.eql([
+            {
+              id: 2,
+              year: 1990
+            }, {
+              id: 1,
+              year: 2000
+            }
+          ]);
+          books.update([
+            [
+              {
+                id: 1,
+                year: 2000
+              }, {
+                id: 1,
+                year: 1970
+              }
+            ]
+          ]);
+          by_year.fetch_all().should.be.eql([
+            {
+              id: 1,
+              year: 1970
+            }, {
+              id: 3,
+              year: 1980
+            }, {
+              id: 2,
+              year: 1990
+            }
+          ]);
+          ((function() {
+            var _i, _len, _results;
+            _results = [];
+            for (_i = 0, _len = ordered_operations.length; _i < _len; _i++) {
+              t = ordered_operations[_i];
+              _results.push(t.operation);
+            }
+            return _results;
+          })()).should.be.eql(['update', 'add']);
+          ordered_operations[0].options.more.should.be["true"];
+          (ordered_operations[1].options.more === void 0).should.be["true"];
+          return ordered_operations[1].options.locations.should.be.eql([1]);
+        });
+      });
+      return describe('aggregate():', function() {
+        return it('should aggregate a transaction once terminated', function() {
+          var aggregated_operations, by_country, sales, t;
+          aggregated_operations = [];
+          sales = xs.set([
+            {
+              id: 1,
+              country: 'France',
+              sales: 10
+            }
+          ]);
+          by_country = sales.aggregate(xs.set([
+            {
+              id: 'sales'
+            }
+          ]), xs.set([
+            {
+              id: 'country'
+            }
+          ]));
+          by_country.trace({
+            exclude: ['fetch'],
+            log: function(t) {
+              return aggregated_operations.push(t);
+            }
+          });
+          aggregated_operations = [];
+          sales.add([
+            {
+              id: 2,
+              country: 'France',
+              sales: 5
+            }
+          ], {
+            more: true
+          });
+          sales.remove([
+            {
+              id: 2,
+              country: 'France',
+              sales: 5
+            }
+          ], {
+            more: true
+          });
+          sales.add([
+            {
+              id: 3,
+              country: 'France',
+              sales: 7
+            }
+          ]);
+          ((function() {
+            var _i, _len, _results;
+            _results = [];
+            for (_i = 0, _len = aggregated_operations.length; _i < _len; _i++) {
+              t = aggregated_operations[_i];
+              _results.push(t.operation);
+            }
+            return _results;
+          })()).should.be.eql(['update']);
+          return aggregated_operations[0].values[0][1].should.be.eql({
+            country: 'France',
+            sales: 17,
+            _count: 2
+          });
+        });
+      });
+    });
+    describe('xs.versioned_set():', function() {
+      var at, versioned;
+      at = function(time) {
+        return {
+          metadata: {
+            time: time
+          }
+        };
+      };
+      versioned = xs.versioned_set([]);
+      versioned.add([
+        {
+          id: 1,
+          stock: 10
+        }
+      ], at(100));
+      versioned.add([
+        {
+          id: 2,
+          stock: 5
+        }
+      ], at(200));
+      versioned.update([
+        [
+          {
+            id: 1,
+            stock: 10
+          }, {
+            id: 1,
+            stock: 8
+          }
+        ]
+      ], at(300));
+      versioned.remove([
+        {
+          id: 2,
+          stock: 5
+        }
+      ], at(400));
+      versioned.add([
+        {
+          id: 3,
+          stock: 1
+        }
+      ], at(250));
+      it('should be a Versioned_Set and a Set', function() {
+        versioned.should.be.an["instanceof"](XS.Versioned_Set);
+        return versioned.should.be.an["instanceof"](Set);
+      });
+      it('should hold the current state', function() {
+        return versioned.fetch_all().should.be.eql([
+          {
+            id: 1,
+            stock: 8
+          }, {
+            id: 3,
+            stock: 1
+          }
+        ]);
+      });
+      it('should provide the state as of 99, before any operation', function() {
+        return versioned.as_of(99).should.be.eql([]);
+      });
+      it('should provide the state as of 100', function() {
+        return versioned.as_of(100).should.be.eql([
+          {
+            id: 1,
+            stock: 10
+          }
+        ]);
+      });
+      it('should provide the state as of 260, including the late add at 250', function() {
+        return versioned.as_of(260).should.be.eql([
+          {
+            id: 1,
+            stock: 10
+          }, {
+            id: 2,
+            stock: 5
+          }, {
+            id: 3,
+            stock: 1
+          }
+        ]);
+      });
+      it('should provide the state as of a Date', function() {
+        return versioned.as_of(new Date(350)).should.be.eql([
+          {
+            id: 1,
+            stock: 8
+          }, {
+            id: 2,
+            stock: 5
+          }, {
+            id: 3,
+            stock: 1
+          }
+        ]);
+      });
+      it('should provide the history of a value', function() {
+        var v;
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = versioned.history({
+            id: 1
+          });
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            v = _ref[_i];
+            _results.push({
+              action: v.action,
+              value: v.value,
+              time: v.time
+            });
+          }
+          return _results;
+        })()).should.be.eql([
+          {
+            action: 'add',
+            value: {
+              id: 1,
+              stock: 10
+            },
+            time: 100
+          }, {
+            action: 'update',
+            value: {
+              id: 1,
+              stock: 8
+            },
+            time: 300
+          }
+        ]);
+      });
+      it('should provide the history of a removed value by key', function() {
+        var v;
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = versioned.history('2');
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            v = _ref[_i];
+            _results.push(v.action);
+          }
+          return _results;
+        })()).should.be.eql(['add', 'remove']);
+      });
+      it('should keep the metadata of each version', function() {
+        return versioned.history({
+          id: 2
+        })[0].metadata.transaction_id.should.be.a('string');
+      });
+      it('should provide an empty history for an unknown value', function() {
+        return versioned.history({
+          id: 4
+        }).should.be.eql([]);
+      });
+      return it('should version a clear as removes', function() {
+        var v;
+        versioned.clear(at(500));
+        versioned.as_of(500).should.be.eql([]);
+        versioned.as_of(450).should.be.eql([
+          {
+            id: 1,
+            stock: 8
+          }, {
+            id: 3,
+            stock: 1
+          }
+        ]);
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = versioned.history({
+            id: 3
+          });
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            v = _ref[_i];
+            _results.push(v.action);
+          }
+          return _results;
+        })()).should.be.eql(['add', 'remove']);
+      });
+    });
+    describe('snapshot():', function() {
+      var stock, stock_snapshot;
+      stock = xs.set([
+        {
+          id: 1,
+          count: 10
+        }, {
+          id: 2,
+          count: 5
+        }
+      ], {
+        name: 'stock'
+      });
+      stock_snapshot = stock.snapshot({
+        name: 'stock_snapshot'
+      });
+      stock.add([
+        {
+          id: 3,
+          count: 1
+        }
+      ]);
+      stock.update([
+        [
+          {
+            id: 1,
+            count: 10
+          }, {
+            id: 1,
+            count: 9
+          }
+        ]
+      ]);
+      it('should be a Snapshot and a Set', function() {
+        stock_snapshot.should.be.an["instanceof"](XS.Snapshot);
+        return stock_snapshot.should.be.an["instanceof"](Set);
+      });
+      it('should hold the state of its source when taken', function() {
+        return stock_snapshot.fetch_all().should.be.eql([
+          {
+            id: 1,
+            count: 10
+          }, {
+            id: 2,
+            count: 5
+          }
+        ]);
+      });
+      it('should not be connected to its source', function() {
+        (stock_snapshot.source === void 0).should.be["true"];
+        return (stock.destination === void 0).should.be["true"];
+      });
+      it('should be frozen', function() {
+        (function() {
+          return stock_snapshot.add([
+            {
+              id: 4
+            }
+          ]);
+        }).should["throw"]();
+        (function() {
+          return stock_snapshot.remove([
+            {
+              id: 1
+            }
+          ]);
+        }).should["throw"]();
+        return (function() {
+          return stock_snapshot.clear();
+        }).should["throw"]();
+      });
+      it('should serialize to JSON', function() {
+        var json;
+        json = JSON.parse(JSON.stringify(stock_snapshot));
+        json.time.should.be.eql(stock_snapshot.time);
+        delete json.time;
+        return json.should.be.eql({
+          name: 'stock_snapshot',
+          key: ['id'],
+          values: [
+            {
+              id: 1,
+              count: 10
+            }, {
+              id: 2,
+              count: 5
+            }
+          ]
+        });
+      });
+      it('should restore into a new Set', function() {
+        var restored;
+        restored = XS.Snapshot.restore(JSON.stringify(stock_snapshot), {
+          name: 'restored'
+        });
+        restored.should.be.an["instanceof"](Set);
+        restored.should.not.be.an["instanceof"](XS.Snapshot);
+        restored.options.name.should.be.eql('restored');
+        restored.fetch_all().should.be.eql([
+          {
+            id: 1,
+            count: 10
+          }, {
+            id: 2,
+            count: 5
+          }
+        ]);
+        restored.add([
+          {
+            id: 3,
+            count: 0
+          }
+        ]);
+        return restored.fetch_all().length.should.be.eql(3);
+      });
+      it('should not allow a past time on a source that is not versioned', function() {
+        return (function() {
+          return stock.snapshot(1000);
+        }).should["throw"]();
+      });
+      it('should copy the state of a versioned set at a past time', function() {
+        var past, versioned_stock;
+        versioned_stock = xs.versioned_set([]);
+        versioned_stock.add([
+          {
+            id: 1,
+            count: 10
+          }
+        ], {
+          metadata: {
+            time: 100
+          }
+        });
+        versioned_stock.update([
+          [
+            {
+              id: 1,
+              count: 10
+            }, {
+              id: 1,
+              count: 7
+            }
+          ]
+        ], {
+          metadata: {
+            time: 200
+          }
+        });
+        past = versioned_stock.snapshot(new Date(150));
+        past.time.should.be.eql(150);
+        return past.fetch_all().should.be.eql([
+          {
+            id: 1,
+            count: 10
+          }
+        ]);
+      });
+      return it('should defer fetch() and count running snapshots while copying an asynchronous source', function(done) {
+        var remote, remote_snapshot;
+        remote = xs.set([
+          {
+            id: 1
+          }, {
+            id: 2
+          }
+        ]);
+        remote.fetch = function(receiver) {
+          setTimeout((function() {
+            return receiver([
+              {
+                id: 1
+              }, {
+                id: 2
+              }
+            ], true);
+          }), 0);
+          return remote;
+        };
+        remote_snapshot = remote.snapshot();
+        XS.Snapshot.running(remote).should.be.eql(1);
+        remote_snapshot.complete.should.be["false"];
+        return remote_snapshot.fetch_all(function(values) {
+          return check(done, function() {
+            values.should.be.eql([
+              {
+                id: 1
+              }, {
+                id: 2
+              }
+            ]);
+            return XS.Snapshot.running(remote).should.be.eql(0);
+          });
+        });
+      });
+    });
+    describe('compact():', function() {
+      var operations;
+      operations = [
+        {
+          action: 'add',
+          objects: [
+            {
+              id: 1,
+              v: 1
+            }, {
+              id: 2,
+              v: 1
+            }
+          ],
+          options: {
+            metadata: {
+              transaction_id: 't1'
+            }
+          }
+        }, {
+          action: 'update',
+          objects: [
+            [
+              {
+                id: 1,
+                v: 1
+              }, {
+                id: 1,
+                v: 2
+              }
+            ]
+          ],
+          options: {
+            metadata: {
+              transaction_id: 't2'
+            }
+          }
+        }, {
+          action: 'remove',
+          objects: [
+            {
+              id: 2,
+              v: 1
+            }, {
+              id: 3,
+              v: 1
+            }
+          ],
+          options: {
+            metadata: {
+              transaction_id: 't3'
+            }
+          }
+        }, {
+          action: 'add',
+          objects: [
+            {
+              id: 4,
+              v: 1
+            }
+          ],
+          options: {
+            metadata: {
+              transaction_id: 't4'
+            }
+          }
+        }
+      ];
+      it('should collapse operations on each object into a single add, dropping removed objects', function() {
+        return XS.compact(operations).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 1,
+                v: 2
+              }, {
+                id: 4,
+                v: 1
+              }
+            ]
+          }
+        ]);
+      });
+      it('should keep the metadata of the last operation on each object', function() {
+        return XS.compact(operations, {
+          keep_metadata: true
+        }).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 1,
+                v: 2
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't2'
+              }
+            }
+          }, {
+            action: 'add',
+            objects: [
+              {
+                id: 4,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't4'
+              }
+            }
+          }
+        ]);
+      });
+      it('should only compact selected objects', function() {
+        return XS.compact(operations, {
+          select: function(v) {
+            return v.id === 1;
+          }
+        }).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 2,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't1'
+              }
+            }
+          }, {
+            action: 'remove',
+            objects: [
+              {
+                id: 2,
+                v: 1
+              }, {
+                id: 3,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't3'
+              }
+            }
+          }, {
+            action: 'add',
+            objects: [
+              {
+                id: 4,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't4'
+              }
+            }
+          }, {
+            action: 'add',
+            objects: [
+              {
+                id: 1,
+                v: 2
+              }
+            ]
+          }
+        ]);
+      });
+      it('should store the state and the anti-state in full mode', function() {
+        return XS.compact(operations, {
+          mode: 'full',
+          keep_metadata: true
+        }).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 1,
+                v: 2
+              }, {
+                id: 4,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't4'
+              }
+            }
+          }, {
+            action: 'remove',
+            objects: [
+              {
+                id: 3,
+                v: 1
+              }
+            ],
+            options: {
+              metadata: {
+                transaction_id: 't4'
+              }
+            }
+          }
+        ]);
+      });
+      it('should resolve the anti-state with later adds in full mode', function() {
+        return XS.compact([
+          {
+            action: 'remove',
+            objects: [
+              {
+                id: 1
+              }
+            ]
+          }, {
+            action: 'add',
+            objects: [
+              {
+                id: 1
+              }, {
+                id: 2
+              }
+            ]
+          }
+        ], {
+          mode: 'full'
+        }).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 2
+              }
+            ]
+          }
+        ]);
+      });
+      it('should keep updates of values added before the compacted range in full mode', function() {
+        return XS.compact([
+          {
+            action: 'update',
+            objects: [
+              [
+                {
+                  id: 1,
+                  v: 1
+                }, {
+                  id: 1,
+                  v: 2
+                }
+              ]
+            ]
+          }, {
+            action: 'update',
+            objects: [
+              [
+                {
+                  id: 1,
+                  v: 2
+                }, {
+                  id: 1,
+                  v: 3
+                }
+              ]
+            ]
+          }, {
+            action: 'update',
+            objects: [
+              [
+                {
+                  id: 2,
+                  v: 1
+                }, {
+                  id: 2,
+                  v: 2
+                }
+              ]
+            ]
+          }, {
+            action: 'remove',
+            objects: [
+              {
+                id: 2,
+                v: 2
+              }
+            ]
+          }
+        ], {
+          mode: 'full'
+        }).should.be.eql([
+          {
+            action: 'remove',
+            objects: [
+              {
+                id: 2,
+                v: 1
+              }
+            ]
+          }, {
+            action: 'update',
+            objects: [
+              [
+                {
+                  id: 1,
+                  v: 1
+                }, {
+                  id: 1,
+                  v: 3
+                }
+              ]
+            ]
+          }
+        ]);
+      });
+      it('should compact clears', function() {
+        return XS.compact([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 1
+              }, {
+                id: 2
+              }
+            ]
+          }, {
+            action: 'clear'
+          }, {
+            action: 'add',
+            objects: [
+              {
+                id: 3
+              }
+            ]
+          }
+        ]).should.be.eql([
+          {
+            action: 'add',
+            objects: [
+              {
+                id: 3
+              }
+            ]
+          }
+        ]);
+      });
+      it('should compact logs of file persistence pipelets, using composite keys', function() {
+        return XS.compact([
+          {
+            id: 1,
+            timestamp: 100,
+            name: 'add',
+            objects: [
+              {
+                year: 2013,
+                month: 1,
+                sales: 10
+              }
+            ]
+          }, {
+            id: 2,
+            timestamp: 200,
+            name: 'update',
+            objects: [
+              [
+                {
+                  year: 2013,
+                  month: 1,
+                  sales: 10
+                }, {
+                  year: 2013,
+                  month: 1,
+                  sales: 12
+                }
+              ]
+            ]
+          }, {
+            id: 3,
+            timestamp: 300,
+            name: 'add',
+            objects: [
+              {
+                year: 2013,
+                month: 2,
+                sales: 3
+              }
+            ]
+          }
+        ], {
+          key: ['year', 'month'],
+          keep_metadata: true
+        }).should.be.eql([
+          {
+            id: 2,
+            timestamp: 200,
+            name: 'add',
+            objects: [
+              {
+                year: 2013,
+                month: 1,
+                sales: 12
+              }
+            ]
+          }, {
+            id: 3,
+            timestamp: 300,
+            name: 'add',
+            objects: [
+              {
+                year: 2013,
+                month: 2,
+                sales: 3
+              }
+            ]
+          }
+        ]);
+      });
+      it('should throw on unsupported actions and modes', function() {
+        (function() {
+          return XS.compact([
+            {
+              action: 'fetch',
+              objects: []
+            }
+          ]);
+        }).should["throw"]();
+        return (function() {
+          return XS.compact(operations, {
+            mode: 'partial'
+          });
+        }).should["throw"]();
+      });
+      return describe('versioned_set..compact():', function() {
+        var compacted_stock;
+        compacted_stock = xs.versioned_set([]);
+        compacted_stock.add([
+          {
+            id: 1,
+            count: 10
+          }, {
+            id: 2,
+            count: 5
+          }
+        ], {
+          metadata: {
+            time: 100
+          }
+        });
+        compacted_stock.update([
+          [
+            {
+              id: 1,
+              count: 10
+            }, {
+              id: 1,
+              count: 7
+            }
+          ]
+        ], {
+          metadata: {
+            time: 200,
+            user_id: 'u1'
+          }
+        });
+        compacted_stock.remove([
+          {
+            id: 2,
+            count: 5
+          }
+        ], {
+          metadata: {
+            time: 300
+          }
+        });
+        it('should be delayed while a snapshot is running', function() {
+          compacted_stock.snapshots_running = 1;
+          compacted_stock.compact({
+            keep_metadata: true
+          });
+          return compacted_stock.history({
+            id: 1
+          }).length.should.be.eql(2);
+        });
+        return it('should compact versions once the last snapshot completes', function() {
+          var history;
+          compacted_stock.snapshots_running = 0;
+          compacted_stock.snapshot().fetch_all().should.be.eql([
+            {
+              id: 1,
+              count: 7
+            }
+          ]);
+          history = compacted_stock.history({
+            id: 1
+          });
+          history.length.should.be.eql(1);
+          history[0].action.should.be.eql('add');
+          history[0].value.should.be.eql({
+            id: 1,
+            count: 7
+          });
+          history[0].time.should.be.eql(200);
+          history[0].metadata.user_id.should.be.eql('u1');
+          compacted_stock.history({
+            id: 2
+          }).should.be.eql([]);
+          return compacted_stock.as_of(300).should.be.eql([
+            {
+              id: 1,
+              count: 7
+            }
+          ]);
+        });
+      });
+    });
+    describe('set indexes:', function() {
+      var customers;
+      customers = xs.set([
+        {
+          id: 1,
+          name: 'Ali',
+          country: 'Morocco',
+          city: 'Rabat'
+        }, {
+          id: 2,
+          name: 'Marie',
+          country: 'France',
+          city: 'Paris'
+        }, {
+          id: 3,
+          name: 'Omar',
+          country: 'Morocco',
+          city: 'Casablanca'
+        }
+      ], {
+        indexes: ['country', ['country', 'city']]
+      });
+      it('should lookup values by attribute', function() {
+        return customers.lookup('country', 'Morocco').should.be.eql([
+          {
+            id: 1,
+            name: 'Ali',
+            country: 'Morocco',
+            city: 'Rabat'
+          }, {
+            id: 3,
+            name: 'Omar',
+            country: 'Morocco',
+            city: 'Casablanca'
+          }
+        ]);
+      });
+      it('should lookup values by composite index, in any attribute order', function() {
+        customers.lookup(['country', 'city'], ['France', 'Paris']).should.be.eql([
+          {
+            id: 2,
+            name: 'Marie',
+            country: 'France',
+            city: 'Paris'
+          }
+        ]);
+        return customers.lookup(['city', 'country'], ['Casablanca', 'Morocco']).should.be.eql([
+          {
+            id: 3,
+            name: 'Omar',
+            country: 'Morocco',
+            city: 'Casablanca'
+          }
+        ]);
+      });
+      it('should lookup null and undefined values by composite index', function() {
+        var unlocated;
+        unlocated = xs.set([
+          {
+            id: 1,
+            country: null
+          }, {
+            id: 2,
+            country: 'France',
+            city: null
+          }
+        ], {
+          indexes: [['country', 'city']]
+        });
+        unlocated.lookup(['country', 'city'], [null, void 0]).should.be.eql([
+          {
+            id: 1,
+            country: null
+          }
+        ]);
+        return unlocated.lookup(['country', 'city'], ['France', null]).should.be.eql([
+          {
+            id: 2,
+            country: 'France',
+            city: null
+          }
+        ]);
+      });
+      it('should return no value for a value not indexed', function() {
+        return customers.lookup('country', 'Spain').should.be.eql([]);
+      });
+      it('should throw without a matching index', function() {
+        return (function() {
+          return customers.lookup('name', 'Ali');
+        }).should["throw"]();
+      });
+      it('should maintain indexes on add, remove and update', function() {
+        customers.add([
+          {
+            id: 4,
+            name: 'Pablo',
+            country: 'Spain',
+            city: 'Madrid'
+          }
+        ]);
+        customers.remove([
+          {
+            id: 1
+          }
+        ]);
+        customers.update([
+          [
+            {
+              id: 2,
+              name: 'Marie',
+              country: 'France',
+              city: 'Paris'
+            }, {
+              id: 2,
+              name: 'Marie',
+              country: 'Morocco',
+              city: 'Rabat'
+            }
+          ]
+        ]);
+        customers.lookup('country', 'Spain').should.be.eql([
+          {
+            id: 4,
+            name: 'Pablo',
+            country: 'Spain',
+            city: 'Madrid'
+          }
+        ]);
+        customers.lookup('country', 'France').should.be.eql([]);
+        customers.lookup('country', 'Morocco').should.be.eql([
+          {
+            id: 2,
+            name: 'Marie',
+            country: 'Morocco',
+            city: 'Rabat'
+          }, {
+            id: 3,
+            name: 'Omar',
+            country: 'Morocco',
+            city: 'Casablanca'
+          }
+        ]);
+        return customers.lookup(['country', 'city'], ['Morocco', 'Rabat']).should.be.eql([
+          {
+            id: 2,
+            name: 'Marie',
+            country: 'Morocco',
+            city: 'Rabat'
+          }
+        ]);
+      });
+      it('should maintain indexes of an Order', function() {
+        var by_name;
+        by_name = customers.order([
+          {
+            id: 'name'
+          }
+        ], {
+          indexes: ['city']
+        });
+        by_name.lookup('city', 'Madrid').should.be.eql([
+          {
+            id: 4,
+            name: 'Pablo',
+            country: 'Spain',
+            city: 'Madrid'
+          }
+        ]);
+        customers.remove([
+          {
+            id: 4
+          }
+        ]);
+        return by_name.lookup('city', 'Madrid').should.be.eql([]);
+      });
+      it('should lookup values in the order of the set', function() {
+        var staff;
+        staff = xs.set([
+          {
+            id: 'b',
+            team: 'sales'
+          }, {
+            id: 'a',
+            team: 'sales'
+          }
+        ], {
+          indexes: ['team']
+        });
+        staff.update([
+          [
+            {
+              id: 'b',
+              team: 'sales'
+            }, {
+              id: 'b',
+              team: 'sales',
+              lead: true
+            }
+          ]
+        ]);
+        return staff.lookup('team', 'sales').should.be.eql([
+          {
+            id: 'b',
+            team: 'sales',
+            lead: true
+          }, {
+            id: 'a',
+            team: 'sales'
+          }
+        ]);
+      });
+      it('should empty indexes on clear', function() {
+        customers.clear();
+        return customers.lookup('country', 'Morocco').should.be.eql([]);
+      });
+      describe('filter() using an index:', function() {
+        var lookups, products, products_lookup;
+        products = xs.set([
+          {
+            id: 1,
+            category: 'book',
+            price: 10
+          }, {
+            id: 2,
+            category: 'music',
+            price: 5
+          }, {
+            id: 3,
+            category: 'book',
+            price: 20
+          }
+        ], {
+          indexes: ['category']
+        });
+        lookups = 0;
+        products_lookup = products.lookup;
+        products.lookup = function(attributes, value) {
+          lookups += 1;
+          return products_lookup.call(this, attributes, value);
+        };
+        it('should fetch equality conditions using the index', function() {
+          var books_only;
+          books_only = products.filter(function(p) {
+            return p.category === 'book';
+          });
+          books_only.fetch_all().should.be.eql([
+            {
+              id: 1,
+              category: 'book',
+              price: 10
+            }, {
+              id: 3,
+              category: 'book',
+              price: 20
+            }
+          ]);
+          return lookups.should.be.eql(1);
+        });
+        it('should fetch values in the order of an Order', function() {
+          var by_price;
+          by_price = products.order([
+            {
+              id: 'price',
+              descending: true
+            }
+          ], {
+            indexes: ['category']
+          });
+          return by_price.filter(function(p) {
+            return p.category === 'book';
+          }).fetch_all().should.be.eql([
+            {
+              id: 3,
+              category: 'book',
+              price: 20
+            }, {
+              id: 1,
+              category: 'book',
+              price: 10
+            }
+          ]);
+        });
+        return it('should not use the index for other conditions', function() {
+          var cheap;
+          cheap = products.filter(function(p) {
+            return p.price < 15;
+          });
+          cheap.fetch_all().should.be.eql([
+            {
+              id: 1,
+              category: 'book',
+              price: 10
+            }, {
+              id: 2,
+              category: 'music',
+              price: 5
+            }
+          ]);
+          return lookups.should.be.eql(1);
+        });
+      });
+      return describe('join() using indexes:', function() {
+        var novels, novels_with_writers, writers;
+        writers = xs.set([
+          {
+            id: 1,
+            name: 'Charles Dickens'
+          }, {
+            id: 2,
+            name: 'J. R. R. Tolkien'
+          }
+        ], {
+          indexes: ['id']
+        });
+        novels = xs.set([
+          {
+            id: 1,
+            title: 'A Tale of Two Cities',
+            writer_id: 1
+          }, {
+            id: 2,
+            title: 'The Lord of the Rings',
+            writer_id: 2
+          }, {
+            id: 3,
+            title: 'The Hobbit',
+            writer_id: 2
+          }
+        ], {
+          indexes: ['writer_id']
+        });
+        novels_with_writers = novels.join(writers, [['writer_id', 'id']], function(novel, writer) {
+          return extend({}, novel, {
+            writer_name: writer.name
+          });
+        }).set();
+        it('should not create ordered copies of joined sets', function() {
+          (writers.destination === void 0).should.be["false"];
+          return writers.destination.should.not.be.an["instanceof"](XS.Fork);
+        });
+        it('should join novels and writers', function() {
+          return novels_with_writers.fetch_all().should.be.eql([
+            {
+              id: 1,
+              title: 'A Tale of Two Cities',
+              writer_id: 1,
+              writer_name: 'Charles Dickens'
+            }, {
+              id: 2,
+              title: 'The Lord of the Rings',
+              writer_id: 2,
+              writer_name: 'J. R. R. Tolkien'
+            }, {
+              id: 3,
+              title: 'The Hobbit',
+              writer_id: 2,
+              writer_name: 'J. R. R. Tolkien'
+            }
+          ]);
+        });
+        return it('should join added novels and writers', function() {
+          novels.add([
+            {
+              id: 4,
+              title: 'The Hunger Games',
+              writer_id: 3
+            }
+          ]);
+          novels_with_writers.fetch_all().length.should.be.eql(3);
+          writers.add([
+            {
+              id: 3,
+              name: 'Suzanne Collins'
+            }
+          ]);
+          return novels_with_writers.fetch_all().should.be.eql([
+            {
+              id: 1,
+              title: 'A Tale of Two Cities',
+              writer_id: 1,
+              writer_name: 'Charles Dickens'
+            }, {
+              id: 2,
+              title: 'The Lord of the Rings',
+              writer_id: 2,
+              writer_name: 'J. R. R. Tolkien'
+            }, {
+              id: 3,
+              title: 'The Hobbit',
+              writer_id: 2,
+              writer_name: 'J. R. R. Tolkien'
+            }, {
+              id: 4,
+              title: 'The Hunger Games',
+              writer_id: 3,
+              writer_name: 'Suzanne Collins'
+            }
+          ]);
+        });
+      });
+    });
+    describe('validate():', function() {
+      var orders, valid_orders;
+      orders = xs.set([]);
+      valid_orders = orders.validate({
+        country: {
+          required: true,
+          type: 'string',
+          "enum": ['France', 'Morocco']
+        },
+        quantity: {
+          type: 'number',
+          min: 1,
+          max: 100
+        }
+      }).set();
+      it('should forward valid values', function() {
+        orders.add([
+          {
+            id: 1,
+            country: 'Morocco',
+            quantity: 5
+          }, {
+            id: 2,
+            country: 'France'
+          }
+        ]);
+        return valid_orders.fetch_all().should.be.eql([
+          {
+            id: 1,
+            country: 'Morocco',
+            quantity: 5
+          }, {
+            id: 2,
+            country: 'France'
+          }
+        ]);
+      });
+      it('should reject invalid values with reasons', function() {
+        var errors, r;
+        orders.add([
+          {
+            id: 3,
+            country: 'Spain',
+            quantity: 0
+          }, {
+            country: 'France',
+            quantity: '5'
+          }
+        ], {
+          metadata: {
+            user_id: 'u1'
+          }
+        });
+        valid_orders.fetch_all().length.should.be.eql(2);
+        errors = valid_orders.source.errors.fetch_all();
+        errors.length.should.be.eql(2);
+        errors[0].id.should.be.eql(1);
+        errors[0].action.should.be.eql('add');
+        errors[0].value.should.be.eql({
+          id: 3,
+          country: 'Spain',
+          quantity: 0
+        });
+        errors[0].options.metadata.user_id.should.be.eql('u1');
+        errors[0].reasons.should.be.eql([
+          {
+            attribute: 'country',
+            rule: 'enum',
+            message: 'country should be one of France, Morocco'
+          }, {
+            attribute: 'quantity',
+            rule: 'min',
+            message: 'quantity should be at least 1'
+          }
+        ]);
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = errors[1].reasons;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            r = _ref[_i];
+            _results.push(r.rule);
+          }
+          return _results;
+        })()).should.be.eql(['type', 'required']);
+      });
+      it('should not forward removes of rejected values', function() {
+        orders.remove([
+          {
+            id: 3,
+            country: 'Spain',
+            quantity: 0
+          }
+        ]);
+        valid_orders.fetch_all().length.should.be.eql(2);
+        return valid_orders.source.errors.fetch_all()[2].action.should.be.eql('remove');
+      });
+      it('should remove values updated to invalid values, and add values updated to valid values', function() {
+        orders.update([
+          [
+            {
+              id: 2,
+              country: 'France'
+            }, {
+              id: 2,
+              country: 'France',
+              quantity: 500
+            }
+          ]
+        ]);
+        valid_orders.fetch_all().should.be.eql([
+          {
+            id: 1,
+            country: 'Morocco',
+            quantity: 5
+          }
+        ]);
+        orders.update([
+          [
+            {
+              id: 2,
+              country: 'France',
+              quantity: 500
+            }, {
+              id: 2,
+              country: 'France',
+              quantity: 50
+            }
+          ]
+        ]);
+        return valid_orders.fetch_all().should.be.eql([
+          {
+            id: 1,
+            country: 'Morocco',
+            quantity: 5
+          }, {
+            id: 2,
+            country: 'France',
+            quantity: 50
+          }
+        ]);
+      });
+      it('should only fetch valid values', function() {
+        var invalid_source;
+        invalid_source = xs.set([
+          {
+            id: 1,
+            country: 'Morocco'
+          }, {
+            id: 2,
+            country: 'Italy'
+          }
+        ]);
+        return invalid_source.validate({
+          country: {
+            "enum": ['Morocco']
+          }
+        }).fetch_all().should.be.eql([
+          {
+            id: 1,
+            country: 'Morocco'
+          }
+        ]);
+      });
+      it('should throw on unsupported types', function() {
+        return (function() {
+          return xs.set([]).validate({
+            id: {
+              type: 'integer'
+            }
+          });
+        }).should["throw"]();
+      });
+      describe('with a schema Set:', function() {
+        var adults, people, schema;
+        schema = xs.set([
+          {
+            id: 'age',
+            type: 'number',
+            min: 18
+          }
+        ]);
+        people = xs.set([]);
+        adults = people.validate(schema).set();
+        it('should validate with rules of the schema Set', function() {
+          people.add([
+            {
+              id: 1,
+              age: 20
+            }, {
+              id: 2,
+              age: 12
+            }
+          ]);
+          return adults.fetch_all().should.be.eql([
+            {
+              id: 1,
+              age: 20
+            }
+          ]);
+        });
+        it('should validate with the new schema when the schema Set changes', function() {
+          schema.update([
+            [
+              {
+                id: 'age',
+                type: 'number',
+                min: 18
+              }, {
+                id: 'age',
+                type: 'number',
+                min: 10
+              }
+            ]
+          ]);
+          people.add([
+            {
+              id: 3,
+              age: 12
+            }
+          ]);
+          return adults.fetch_all().should.be.eql([
+            {
+              id: 1,
+              age: 20
+            }, {
+              id: 3,
+              age: 12
+            }
+          ]);
+        });
+        return it('should forward removes of values forwarded under a previous schema', function() {
+          schema.update([
+            [
+              {
+                id: 'age',
+                type: 'number',
+                min: 10
+              }, {
+                id: 'age',
+                type: 'number',
+                min: 21
+              }
+            ]
+          ]);
+          people.remove([
+            {
+              id: 1,
+              age: 20
+            }
+          ]);
+          return adults.fetch_all().should.be.eql([
+            {
+              id: 3,
+              age: 12
+            }
+          ]);
+        });
+      });
+      return it('should not evaluate attribute names of the schema as code', function() {
+        var checked, evaluated;
+        evaluated = false;
+        XS.validate_probe = function() {
+          return evaluated = true;
+        };
+        checked = xs.set([
+          {
+            id: 1
+          }
+        ]).validate({
+          'a; XS.validate_probe()': {
+            required: true
+          }
+        });
+        checked.fetch_all().should.be.eql([]);
+        evaluated.should.be["false"];
+        return delete XS.validate_probe;
+      });
+    });
+    describe('unique option:', function() {
+      it('should throw on an invalid policy', function() {
+        return (function() {
+          return xs.set([], {
+            unique: 'ignore'
+          });
+        }).should["throw"]();
+      });
+      it('should reject duplicate adds', function() {
+        var rejecting;
+        rejecting = xs.set([
+          {
+            id: 1,
+            v: 1
+          }
+        ], {
+          unique: true
+        });
+        rejecting.add([
+          {
+            id: 1,
+            v: 2
+          }, {
+            id: 2,
+            v: 1
+          }, {
+            id: 2,
+            v: 2
+          }
+        ]);
+        return rejecting.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 1
+          }, {
+            id: 2,
+            v: 1
+          }
+        ]);
+      });
+      it('should turn duplicate adds into updates', function() {
+        var updated_copy, updating;
+        updating = xs.set([
+          {
+            id: 1,
+            v: 1
+          }
+        ], {
+          unique: 'update'
+        });
+        updated_copy = updating.set();
+        updating.add([
+          {
+            id: 1,
+            v: 2
+          }, {
+            id: 2,
+            v: 1
+          }, {
+            id: 2,
+            v: 2
+          }, {
+            id: 1,
+            v: 3
+          }
+        ]);
+        updating.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 3
+          }, {
+            id: 2,
+            v: 2
+          }
+        ]);
+        return updated_copy.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 3
+          }, {
+            id: 2,
+            v: 2
+          }
+        ]);
+      });
+      it('should report duplicate adds as conflicts', function() {
+        var conflicts, duplicates, reporting;
+        reporting = xs.set([
+          {
+            id: 1,
+            v: 1
+          }
+        ], {
+          unique: 'conflict'
+        });
+        duplicates = reporting.conflicts({
+          soon: 0
+        });
+        reporting.add([
+          {
+            id: 1,
+            v: 2
+          }
+        ]);
+        reporting.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 1
+          }
+        ]);
+        conflicts = duplicates.fetch_all();
+        conflicts.length.should.be.eql(1);
+        conflicts[0].action.should.be.eql('add');
+        conflicts[0].objects.should.be.eql([
+          {
+            id: 1,
+            v: 2
+          }
+        ]);
+        return reporting.b.should.be.eql([]);
+      });
+      it('should resolve duplicate add conflicts by discarding duplicates', function() {
+        var reverted, reverted_conflicts;
+        reverted = xs.set([
+          {
+            id: 1,
+            v: 1
+          }
+        ], {
+          unique: 'conflict'
+        });
+        reverted_conflicts = reverted.conflicts({
+          soon: 0
+        });
+        reverted_conflicts.resolve_by_revert();
+        reverted.add([
+          {
+            id: 1,
+            v: 2
+          }
+        ]);
+        reverted.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 1
+          }
+        ]);
+        return reverted_conflicts.fetch_all().should.be.eql([]);
+      });
+      return it('should turn duplicate adds into updates in an Order', function() {
+        var ordered_unique;
+        ordered_unique = xs.set([]).order([
+          {
+            id: 'v'
+          }
+        ], {
+          unique: 'update'
+        });
+        ordered_unique.add([
+          {
+            id: 1,
+            v: 5
+          }, {
+            id: 2,
+            v: 3
+          }
+        ]);
+        ordered_unique.add([
+          {
+            id: 1,
+            v: 1
+          }, {
+            id: 3,
+            v: 4
+          }
+        ]);
+        return ordered_unique.fetch_all().should.be.eql([
+          {
+            id: 1,
+            v: 1
+          }, {
+            id: 2,
+            v: 3
+          }, {
+            id: 3,
+            v: 4
+          }
+        ]);
+      });
+    });
+    describe('map():', function() {
+      var line_totals, order_lines;
+      order_lines = xs.set([
+        {
+          id: 1,
+          product: 'pen',
+          price: 2,
+          quantity: 10
+        }, {
+          id: 2,
+          product: 'paper',
+          price: 5,
+          quantity: 2
+        }
+      ]);
+      line_totals = order_lines.map(function(line) {
+        return {
+          id: line.id,
+          total: line.price * line.quantity
+        };
+      }).set();
+      it('should decompile mapper', function() {
+        line_totals.source.mapper.should.be.an('object');
+        return line_totals.source.mapper.parameters.should.be.eql(['line']);
+      });
+      it('should map fetched values', function() {
+        return line_totals.fetch_all().should.be.eql([
+          {
+            id: 1,
+            total: 20
+          }, {
+            id: 2,
+            total: 10
+          }
+        ]);
+      });
+      it('should map added and removed values', function() {
+        order_lines.add([
+          {
+            id: 3,
+            product: 'ink',
+            price: 7,
+            quantity: 1
+          }
+        ]);
+        order_lines.remove([
+          {
+            id: 2,
+            product: 'paper',
+            price: 5,
+            quantity: 2
+          }
+        ]);
+        return line_totals.fetch_all().should.be.eql([
+          {
+            id: 1,
+            total: 20
+          }, {
+            id: 3,
+            total: 7
+          }
+        ]);
+      });
+      it('should map updates', function() {
+        order_lines.update([
+          [
+            {
+              id: 1,
+              product: 'pen',
+              price: 2,
+              quantity: 10
+            }, {
+              id: 1,
+              product: 'pen',
+              price: 2,
+              quantity: 5
+            }
+          ]
+        ]);
+        return line_totals.fetch_all().should.be.eql([
+          {
+            id: 1,
+            total: 10
+          }, {
+            id: 3,
+            total: 7
+          }
+        ]);
+      });
+      it('should call mapper when it cannot be decompiled', function() {
+        var counter, numbered;
+        counter = 0;
+        numbered = order_lines.map((function(line) {
+          counter += 1;
+          return {
+            id: line.id,
+            n: counter
+          };
+        }).bind(null));
+        numbered.mapper.should.be.a('function');
+        return numbered.fetch_all().should.be.eql([
+          {
+            id: 1,
+            n: counter - 1
+          }, {
+            id: 3,
+            n: counter
+          }
+        ]);
+      });
+      return describe('with key changes:', function() {
+        var by_sku, by_sku_set, emitted, products;
+        products = xs.set([
+          {
+            id: 1,
+            sku: 'a',
+            name: 'pen'
+          }
+        ]);
+        by_sku = products.map((function(p) {
+          return {
+            sku: p.sku,
+            name: p.name
+          };
+        }), {
+          key: ['sku']
+        });
+        emitted = [];
+        by_sku.trace({
+          log: function(trace) {
+            var _ref;
+            return emitted.push(trace.operation + (((_ref = trace.options) != null ? _ref.more : void 0) ? ', more' : ''));
+          }
+        });
+        by_sku_set = by_sku.set([], {
+          key: ['sku']
+        });
+        it('should emit a remove and an add when the mapped key changes', function() {
+          emitted = [];
+          products.update([
+            [
+              {
+                id: 1,
+                sku: 'a',
+                name: 'pen'
+              }, {
+                id: 1,
+                sku: 'b',
+                name: 'pen'
+              }
+            ]
+          ]);
+          emitted.should.be.eql(['remove, more', 'add']);
+          return by_sku_set.fetch_all().should.be.eql([
+            {
+              sku: 'b',
+              name: 'pen'
+            }
+          ]);
+        });
+        return it('should emit an update when the mapped key does not change', function() {
+          emitted = [];
+          products.update([
+            [
+              {
+                id: 1,
+                sku: 'b',
+                name: 'pen'
+              }, {
+                id: 1,
+                sku: 'b',
+                name: 'blue pen'
+              }
+            ]
+          ]);
+          emitted.should.be.eql(['update']);
+          return by_sku_set.fetch_all().should.be.eql([
+            {
+              sku: 'b',
+              name: 'blue pen'
+            }
+          ]);
+        });
+      });
+    });
+    describe('project():', function() {
+      var accounts, public_accounts;
+      accounts = xs.set([
+        {
+          id: 1,
+          name: 'Ali',
+          country_code: 'MA',
+          password: 'secret'
+        }, {
+          id: 2,
+          name: 'Marie',
+          password: 'secret'
+        }
+      ]);
+      public_accounts = accounts.project([
+        'name', {
+          country_code: 'country'
+        }
+      ]).set();
+      it('should copy and rename attributes, keeping the key', function() {
+        return public_accounts.fetch_all().should.be.eql([
+          {
+            id: 1,
+            name: 'Ali',
+            country: 'MA'
+          }, {
+            id: 2,
+            name: 'Marie'
+          }
+        ]);
+      });
+      it('should project added values', function() {
+        accounts.add([
+          {
+            id: 3,
+            name: 'Omar',
+            country_code: 'MA',
+            password: 'secret'
+          }
+        ]);
+        public_accounts.fetch_all().length.should.be.eql(3);
+        return public_accounts.fetch_all()[2].should.be.eql({
+          id: 3,
+          name: 'Omar',
+          country: 'MA'
+        });
+      });
+      it('should project updates and removes', function() {
+        accounts.update([
+          [
+            {
+              id: 2,
+              name: 'Marie',
+              password: 'secret'
+            }, {
+              id: 2,
+              name: 'Marie',
+              country_code: 'FR',
+              password: 'new'
+            }
+          ]
+        ]);
+        accounts.remove([
+          {
+            id: 1,
+            name: 'Ali',
+            country_code: 'MA',
+            password: 'secret'
+          }
+        ]);
+        return public_accounts.fetch_all().should.be.eql([
+          {
+            id: 2,
+            name: 'Marie',
+            country: 'FR'
+          }, {
+            id: 3,
+            name: 'Omar',
+            country: 'MA'
+          }
+        ]);
+      });
+      it('should keep composite key attributes', function() {
+        var monthly;
+        monthly = xs.set([
+          {
+            year: 2013,
+            month: 1,
+            sales: 10,
+            cost: 4
+          }
+        ], {
+          key: ['year', 'month']
+        });
+        return monthly.project(['sales']).fetch_all().should.be.eql([
+          {
+            sales: 10,
+            year: 2013,
+            month: 1
+          }
+        ]);
+      });
+      it('should throw on invalid attributes', function() {
+        return (function() {
+          return accounts.project([1]);
+        }).should["throw"]();
+      });
+      return it('should throw on attributes renamed as key attributes', function() {
+        return (function() {
+          return accounts.project([
+            {
+              other: 'id'
+            }
+          ]);
+        }).should["throw"]();
+      });
+    });
+    describe('distinct():', function() {
+      var countries, country_sales, distinct_emitted;
+      country_sales = xs.set([
+        {
+          id: 1,
+          country: 'Morocco',
+          city: 'Rabat'
+        }, {
+          id: 2,
+          country: 'France',
+          city: 'Paris'
+        }, {
+          id: 3,
+          country: 'Morocco',
+          city: 'Fes'
+        }
+      ]);
+      countries = country_sales.distinct('country');
+      distinct_emitted = [];
+      countries.trace({
+        log: function(trace) {
+          return distinct_emitted.push([trace.operation, trace.values]);
+        }
+      });
+      it('should hold distinct tuples', function() {
+        countries.fetch_all().should.be.eql([
+          {
+            country: 'Morocco'
+          }, {
+            country: 'France'
+          }
+        ]);
+        return countries.key.should.be.eql(['country']);
+      });
+      it('should only add first occurrences', function() {
+        distinct_emitted = [];
+        country_sales.add([
+          {
+            id: 4,
+            country: 'France',
+            city: 'Lyon'
+          }, {
+            id: 5,
+            country: 'Spain',
+            city: 'Madrid'
+          }
+        ]);
+        return distinct_emitted.should.be.eql([
+          [
+            'add', [
+              {
+                country: 'Spain'
+              }
+            ]
+          ]
+        ]);
+      });
+      it('should only remove tuples which count drops to zero', function() {
+        distinct_emitted = [];
+        country_sales.remove([
+          {
+            id: 1,
+            country: 'Morocco',
+            city: 'Rabat'
+          }
+        ]);
+        distinct_emitted.should.be.eql([]);
+        country_sales.remove([
+          {
+            id: 3,
+            country: 'Morocco',
+            city: 'Fes'
+          }
+        ]);
+        distinct_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                country: 'Morocco'
+              }
+            ]
+          ]
+        ]);
+        return countries.fetch_all().should.be.eql([
+          {
+            country: 'France'
+          }, {
+            country: 'Spain'
+          }
+        ]);
+      });
+      it('should handle updates moving values between tuples', function() {
+        distinct_emitted = [];
+        country_sales.update([
+          [
+            {
+              id: 5,
+              country: 'Spain',
+              city: 'Madrid'
+            }, {
+              id: 5,
+              country: 'Italy',
+              city: 'Madrid'
+            }
+          ]
+        ]);
+        distinct_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                country: 'Spain'
+              }
+            ]
+          ], [
+            'add', [
+              {
+                country: 'Italy'
+              }
+            ]
+          ]
+        ]);
+        distinct_emitted = [];
+        country_sales.update([
+          [
+            {
+              id: 4,
+              country: 'France',
+              city: 'Lyon'
+            }, {
+              id: 4,
+              country: 'Italy',
+              city: 'Lyon'
+            }
+          ]
+        ]);
+        country_sales.update([
+          [
+            {
+              id: 4,
+              country: 'Italy',
+              city: 'Lyon'
+            }, {
+              id: 4,
+              country: 'Italy',
+              city: 'Rome'
+            }
+          ]
+        ]);
+        distinct_emitted.should.be.eql([]);
+        return countries.fetch_all().should.be.eql([
+          {
+            country: 'France'
+          }, {
+            country: 'Italy'
+          }
+        ]);
+      });
+      return it('should handle composite tuples', function() {
+        return country_sales.distinct(['country', 'city']).fetch_all().should.be.eql([
+          {
+            country: 'France',
+            city: 'Paris'
+          }, {
+            country: 'Italy',
+            city: 'Rome'
+          }, {
+            country: 'Italy',
+            city: 'Madrid'
+          }
+        ]);
+      });
+    });
+    describe('limit():', function() {
+      var leaders, leaders_emitted, leaders_set, players, ranking;
+      players = xs.set([
+        {
+          id: 1,
+          score: 10
+        }, {
+          id: 2,
+          score: 50
+        }, {
+          id: 3,
+          score: 30
+        }, {
+          id: 4,
+          score: 20
+        }
+      ]);
+      ranking = players.order([
+        {
+          id: 'score',
+          descending: true
+        }
+      ]);
+      leaders = ranking.limit(2);
+      leaders_emitted = [];
+      leaders.trace({
+        log: function(trace) {
+          var _ref;
+          return leaders_emitted.push([trace.operation, trace.values, !!((_ref = trace.options) != null ? _ref.more : void 0)]);
+        }
+      });
+      leaders_set = leaders.set();
+      it('should hold the first values of the order', function() {
+        leaders.fetch_all().should.be.eql([
+          {
+            id: 2,
+            score: 50
+          }, {
+            id: 3,
+            score: 30
+          }
+        ]);
+        return leaders_set.fetch_all().should.be.eql([
+          {
+            id: 2,
+            score: 50
+          }, {
+            id: 3,
+            score: 30
+          }
+        ]);
+      });
+      it('should throw if its source is not an Order', function() {
+        return (function() {
+          return players.limit(2);
+        }).should["throw"]();
+      });
+      it('should terminate transactions which last operation does not change the window', function() {
+        var scores, top;
+        scores = xs.set([
+          {
+            id: 1,
+            score: 10
+          }
+        ]);
+        top = scores.order([
+          {
+            id: 'score',
+            descending: true
+          }
+        ]).limit(1).set().order([
+          {
+            id: 'score'
+          }
+        ]);
+        scores.update([
+          [
+            {
+              id: 1,
+              score: 10
+            }, {
+              id: 1,
+              score: 20
+            }
+          ]
+        ], {
+          more: true
+        });
+        scores.add([
+          {
+            id: 2,
+            score: 5
+          }
+        ]);
+        return top.fetch_all().should.be.eql([
+          {
+            id: 1,
+            score: 20
+          }
+        ]);
+      });
+      it('should remove the last value when a value is inserted in the window', function() {
+        leaders_emitted = [];
+        players.add([
+          {
+            id: 5,
+            score: 40
+          }
+        ]);
+        leaders_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                id: 3,
+                score: 30
+              }
+            ], true
+          ], [
+            'add', [
+              {
+                id: 5,
+                score: 40
+              }
+            ], false
+          ]
+        ]);
+        return leaders_set.fetch_all().should.be.eql([
+          {
+            id: 2,
+            score: 50
+          }, {
+            id: 5,
+            score: 40
+          }
+        ]);
+      });
+      it('should not emit changes outside of the window', function() {
+        leaders_emitted = [];
+        players.add([
+          {
+            id: 6,
+            score: 5
+          }
+        ]);
+        players.remove([
+          {
+            id: 1,
+            score: 10
+          }
+        ]);
+        return leaders_emitted.should.be.eql([]);
+      });
+      it('should add the next value when a value of the window is removed', function() {
+        players.remove([
+          {
+            id: 2,
+            score: 50
+          }
+        ]);
+        return leaders_set.fetch_all().should.be.eql([
+          {
+            id: 5,
+            score: 40
+          }, {
+            id: 3,
+            score: 30
+          }
+        ]);
+      });
+      it('should emit updates within the window and moves across its boundary', function() {
+        leaders_emitted = [];
+        players.update([
+          [
+            {
+              id: 5,
+              score: 40
+            }, {
+              id: 5,
+              score: 45
+            }
+          ]
+        ]);
+        leaders_emitted.should.be.eql([
+          [
+            'update', [
+              [
+                {
+                  id: 5,
+                  score: 40
+                }, {
+                  id: 5,
+                  score: 45
+                }
+              ]
+            ], false
+          ]
+        ]);
+        players.update([
+          [
+            {
+              id: 4,
+              score: 20
+            }, {
+              id: 4,
+              score: 60
+            }
+          ]
+        ]);
+        leaders_set.fetch_all().should.be.eql([
+          {
+            id: 5,
+            score: 45
+          }, {
+            id: 4,
+            score: 60
+          }
+        ]);
+        return leaders.fetch_all().should.be.eql([
+          {
+            id: 4,
+            score: 60
+          }, {
+            id: 5,
+            score: 45
+          }
+        ]);
+      });
+      it('should apply an offset', function() {
+        return ranking.limit(2, 1).fetch_all().should.be.eql([
+          {
+            id: 5,
+            score: 45
+          }, {
+            id: 3,
+            score: 30
+          }
+        ]);
+      });
+      it('should move the window with set_limit()', function() {
+        leaders.set_limit(3, 2);
+        leaders.fetch_all().should.be.eql([
+          {
+            id: 3,
+            score: 30
+          }, {
+            id: 6,
+            score: 5
+          }
+        ]);
+        return leaders_set.fetch_all().should.be.eql([
+          {
+            id: 3,
+            score: 30
+          }, {
+            id: 6,
+            score: 5
+          }
+        ]);
+      });
+      return it('should clear the window', function() {
+        ranking.clear();
+        leaders.fetch_all().should.be.eql([]);
+        return leaders_set.fetch_all().should.be.eql([]);
+      });
+    });
+    describe('paginate():', function() {
+      var articles, articles_page, articles_page_set, current_page, i;
+      articles = xs.set((function() {
+        var _i, _results;
+        _results = [];
+        for (i = _i = 1; _i <= 5; i = ++_i) {
+          _results.push({
+            id: i,
+            rank: i
+          });
+        }
+        return _results;
+      })());
+      current_page = xs.set([
+        {
+          id: 1,
+          page: 1,
+          page_size: 2
+        }
+      ]);
+      articles_page = articles.order([
+        {
+          id: 'rank'
+        }
+      ]).paginate(current_page);
+      articles_page_set = articles_page.set();
+      it('should emit values of the current page', function() {
+        return articles_page_set.fetch_all().should.be.eql([
+          {
+            id: 1,
+            rank: 1
+          }, {
+            id: 2,
+            rank: 2
+          }
+        ]);
+      });
+      it('should provide pager information', function() {
+        return articles_page.pager.fetch_all().should.be.eql([
+          {
+            id: 1,
+            page: 1,
+            page_size: 2,
+            count: 5,
+            pages: 3
+          }
+        ]);
+      });
+      it('should emit values of the new page when the page set changes', function() {
+        current_page.update([
+          [
+            {
+              id: 1,
+              page: 1,
+              page_size: 2
+            }, {
+              id: 1,
+              page: 3,
+              page_size: 2
+            }
+          ]
+        ]);
+        articles_page_set.fetch_all().should.be.eql([
+          {
+            id: 5,
+            rank: 5
+          }
+        ]);
+        return articles_page.pager.fetch_all().should.be.eql([
+          {
+            id: 1,
+            page: 3,
+            page_size: 2,
+            count: 5,
+            pages: 3
+          }
+        ]);
+      });
+      it('should update pager information when values are added', function() {
+        articles.add([
+          {
+            id: 6,
+            rank: 6
+          }, {
+            id: 7,
+            rank: 7
+          }
+        ]);
+        articles_page_set.fetch_all().should.be.eql([
+          {
+            id: 5,
+            rank: 5
+          }, {
+            id: 6,
+            rank: 6
+          }
+        ]);
+        return articles_page.pager.fetch_all().should.be.eql([
+          {
+            id: 1,
+            page: 3,
+            page_size: 2,
+            count: 7,
+            pages: 4
+          }
+        ]);
+      });
+      it('should change the page size', function() {
+        current_page.update([
+          [
+            {
+              id: 1,
+              page: 3,
+              page_size: 2
+            }, {
+              id: 1,
+              page: 2,
+              page_size: 3
+            }
+          ]
+        ]);
+        articles_page_set.fetch_all().should.be.eql([
+          {
+            id: 5,
+            rank: 5
+          }, {
+            id: 6,
+            rank: 6
+          }, {
+            id: 4,
+            rank: 4
+          }
+        ]);
+        return articles_page.pager.fetch_all().should.be.eql([
+          {
+            id: 1,
+            page: 2,
+            page_size: 3,
+            count: 7,
+            pages: 3
+          }
+        ]);
+      });
+      return it('should accept a page object and use the default page size', function() {
+        return articles.order([
+          {
+            id: 'rank'
+          }
+        ]).paginate({
+          page: 2
+        }, {
+          page_size: 4
+        }).fetch_all().should.be.eql([
+          {
+            id: 5,
+            rank: 5
+          }, {
+            id: 6,
+            rank: 6
+          }, {
+            id: 7,
+            rank: 7
+          }
+        ]);
+      });
+    });
+    describe('window():', function() {
+      it('should throw without a valid size', function() {
+        return (function() {
+          return xs.set([]).window({});
+        }).should["throw"]();
+      });
+      it('should compute window starts', function() {
+        var hopping, sliding, tumbling;
+        sliding = xs.set([]).window({
+          size: 1000
+        });
+        tumbling = xs.set([]).window({
+          size: 1000,
+          slide: 1000
+        });
+        sliding.start(5500).should.be.eql(4500);
+        tumbling.start(5500).should.be.eql(5000);
+        tumbling.expiry({
+          timestamp: 5500
+        }).should.be.eql(6000);
+        hopping = xs.set([]).window({
+          size: 50,
+          slide: 10
+        });
+        hopping.expiry({
+          timestamp: 10
+        }).should.be.eql(60);
+        hopping.start(59).should.be.eql(10);
+        return hopping.start(60).should.be.eql(20);
+      });
+      describe('sliding window:', function() {
+        var events, now, recent, rolling;
+        now = events = recent = rolling = null;
+        it('should ignore expired values', function() {
+          now = new Date().getTime();
+          events = xs.set([
+            {
+              id: 1,
+              timestamp: now - 1000,
+              store: 'a',
+              amount: 1
+            }, {
+              id: 2,
+              timestamp: now,
+              store: 'a',
+              amount: 2
+            }, {
+              id: 3,
+              timestamp: now - 20,
+              store: 'b',
+              amount: 4
+            }
+          ]);
+          recent = events.window({
+            size: 100
+          });
+          rolling = recent.aggregate(xs.set([
+            {
+              id: 'amount'
+            }
+          ]), xs.set([
+            {
+              id: 'store'
+            }
+          ]));
+          return recent.fetch_all().should.be.eql([
+            {
+              id: 2,
+              timestamp: now,
+              store: 'a',
+              amount: 2
+            }, {
+              id: 3,
+              timestamp: now - 20,
+              store: 'b',
+              amount: 4
+            }
+          ]);
+        });
+        it('should aggregate values of the window', function() {
+          return rolling.fetch_all().should.be.eql([
+            {
+              store: 'a',
+              amount: 2,
+              _count: 1
+            }, {
+              store: 'b',
+              amount: 4,
+              _count: 1
+            }
+          ]);
+        });
+        it('should remove values as they expire', function(done) {
+          return setTimeout((function() {
+            return check(done, function() {
+              recent.fetch_all().should.be.eql([
+                {
+                  id: 2,
+                  timestamp: now,
+                  store: 'a',
+                  amount: 2
+                }
+              ]);
+              return rolling.fetch_all().should.be.eql([
+                {
+                  store: 'a',
+                  amount: 2,
+                  _count: 1
+                }
+              ]);
+            });
+          }), 90 - (new Date().getTime() - now));
+        });
+        it('should remove values updated out of the window', function() {
+          events.update([
+            [
+              {
+                id: 2,
+                timestamp: now,
+                store: 'a',
+                amount: 2
+              }, {
+                id: 2,
+                timestamp: now - 1000,
+                store: 'a',
+                amount: 2
+              }
+            ]
+          ]);
+          return recent.fetch_all().should.be.eql([]);
+        });
+        it('should not keep removes of expired or ignored values in the anti-state', function() {
+          events.remove([
+            {
+              id: 1,
+              timestamp: now - 1000,
+              store: 'a',
+              amount: 1
+            }, {
+              id: 3,
+              timestamp: now - 20,
+              store: 'b',
+              amount: 4
+            }
+          ]);
+          return recent.b.should.be.eql([]);
+        });
+        return it('should add values which previous value expired when updated inside the window', function() {
+          var later;
+          later = new Date().getTime();
+          events.update([
+            [
+              {
+                id: 2,
+                timestamp: now - 1000,
+                store: 'a',
+                amount: 2
+              }, {
+                id: 2,
+                timestamp: later,
+                store: 'a',
+                amount: 3
+              }
+            ]
+          ]);
+          recent.fetch_all().should.be.eql([
+            {
+              id: 2,
+              timestamp: later,
+              store: 'a',
+              amount: 3
+            }
+          ]);
+          return recent.b.should.be.eql([]);
+        });
+      });
+      return describe('tumbling window:', function() {
+        var ticks, tumbling_ticks;
+        ticks = xs.set([]);
+        tumbling_ticks = ticks.window({
+          size: 50,
+          slide: 50
+        });
+        return it('should expire all values when the window moves', function(done) {
+          var boundary, tick;
+          tick = new Date().getTime();
+          boundary = (Math.floor(tick / 50) + 1) * 50;
+          ticks.add([
+            {
+              id: 1,
+              timestamp: tick
+            }, {
+              id: 2,
+              timestamp: tick
+            }
+          ]);
+          tumbling_ticks.fetch_all().length.should.be.eql(2);
+          return setTimeout((function() {
+            return check(done, function() {
+              return tumbling_ticks.fetch_all().should.be.eql([]);
+            });
+          }), boundary + 10 - new Date().getTime());
+        });
+      });
+    });
+    describe('group():', function() {
+      var departments, dimensions_of, employees, members_of;
+      employees = xs.set([
+        {
+          id: 1,
+          name: 'Alice',
+          department: 'sales'
+        }, {
+          id: 2,
+          name: 'Bob',
+          department: 'support'
+        }, {
+          id: 3,
+          name: 'Carol',
+          department: 'sales'
+        }
+      ]);
+      departments = employees.group('department');
+      dimensions_of = function(groups) {
+        var g, _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = groups.length; _i < _len; _i++) {
+          g = groups[_i];
+          _results.push(g.department);
+        }
+        return _results;
+      };
+      members_of = function(department) {
+        var g, _i, _len, _ref;
+        _ref = departments.fetch_all();
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          g = _ref[_i];
+          if (g.department === department) {
+            return g.members.fetch_all();
+          }
+        }
+      };
+      it('should emit one group per distinct dimension', function() {
+        return dimensions_of(departments.fetch_all()).should.be.eql(['sales', 'support']);
+      });
+      it('should hold members of each group in a nested set', function() {
+        return members_of('sales').should.be.eql([
+          {
+            id: 1,
+            name: 'Alice',
+            department: 'sales'
+          }, {
+            id: 3,
+            name: 'Carol',
+            department: 'sales'
+          }
+        ]);
+      });
+      it('should allow other pipelets to subscribe to the members of a group', function() {
+        var e, sales_names;
+        sales_names = departments.fetch_all()[0].members.order([
+          {
+            id: 'name',
+            descending: true
+          }
+        ]);
+        employees.add([
+          {
+            id: 4,
+            name: 'Dave',
+            department: 'sales'
+          }
+        ]);
+        return ((function() {
+          var _i, _len, _ref, _results;
+          _ref = sales_names.fetch_all();
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            e = _ref[_i];
+            _results.push(e.name);
+          }
+          return _results;
+        })()).should.be.eql(['Dave', 'Carol', 'Alice']);
+      });
+      it('should add a group with its first member', function() {
+        employees.add([
+          {
+            id: 5,
+            name: 'Eve',
+            department: 'marketing'
+          }
+        ]);
+        return dimensions_of(departments.fetch_all()).should.be.eql(['sales', 'support', 'marketing']);
+      });
+      it('should move a member to its new group on update', function() {
+        employees.update([
+          [
+            {
+              id: 2,
+              name: 'Bob',
+              department: 'support'
+            }, {
+              id: 2,
+              name: 'Bob',
+              department: 'marketing'
+            }
+          ]
+        ]);
+        dimensions_of(departments.fetch_all()).should.be.eql(['sales', 'marketing']);
+        return members_of('marketing').should.be.eql([
+          {
+            id: 5,
+            name: 'Eve',
+            department: 'marketing'
+          }, {
+            id: 2,
+            name: 'Bob',
+            department: 'marketing'
+          }
+        ]);
+      });
+      it('should update a member within its group', function() {
+        employees.update([
+          [
+            {
+              id: 2,
+              name: 'Bob',
+              department: 'marketing'
+            }, {
+              id: 2,
+              name: 'Robert',
+              department: 'marketing'
+            }
+          ]
+        ]);
+        return members_of('marketing').should.be.eql([
+          {
+            id: 5,
+            name: 'Eve',
+            department: 'marketing'
+          }, {
+            id: 2,
+            name: 'Robert',
+            department: 'marketing'
+          }
+        ]);
+      });
+      return it('should remove a group with its last member', function() {
+        employees.remove([
+          {
+            id: 5,
+            name: 'Eve',
+            department: 'marketing'
+          }, {
+            id: 2,
+            name: 'Robert',
+            department: 'marketing'
+          }
+        ]);
+        return dimensions_of(departments.fetch_all()).should.be.eql(['sales']);
+      });
+    });
+    describe('unnest():', function() {
+      var lines, orders, tags, unnest_emitted;
+      orders = xs.set([
+        {
+          id: 1,
+          customer: 'Ali',
+          lines: [
+            {
+              line_id: 1,
+              sku: 'A',
+              quantity: 2
+            }, {
+              line_id: 2,
+              sku: 'B',
+              quantity: 1
+            }
+          ]
+        }, {
+          id: 2,
+          customer: 'Bea',
+          lines: []
+        }
+      ]);
+      lines = orders.unnest('lines', {
+        id: 'line_id'
+      });
+      unnest_emitted = [];
+      lines.trace({
+        log: function(trace) {
+          return unnest_emitted.push([trace.operation, trace.values]);
+        }
+      });
+      tags = xs.set([
+        {
+          id: 1,
+          tags: ['new', 'sale']
+        }
+      ]).unnest('tags');
+      it('should emit one value per element merged with parent attributes', function() {
+        return lines.fetch_all().should.be.eql([
+          {
+            id: 1,
+            customer: 'Ali',
+            line_id: 1,
+            sku: 'A',
+            quantity: 2
+          }, {
+            id: 1,
+            customer: 'Ali',
+            line_id: 2,
+            sku: 'B',
+            quantity: 1
+          }
+        ]);
+      });
+      it('should have a composite key of parent key plus element id', function() {
+        return lines.key.should.be.eql(['id', 'line_id']);
+      });
+      it('should key elements on their index without id option', function() {
+        tags.key.should.be.eql(['id', '_index']);
+        return tags.fetch_all().should.be.eql([
+          {
+            id: 1,
+            tags: 'new',
+            _index: 0
+          }, {
+            id: 1,
+            tags: 'sale',
+            _index: 1
+          }
+        ]);
+      });
+      it('should diff parent updates into element removes, updates and adds', function() {
+        unnest_emitted = [];
+        orders.update([
+          [
+            {
+              id: 1,
+              customer: 'Ali',
+              lines: [
+                {
+                  line_id: 1,
+                  sku: 'A',
+                  quantity: 2
+                }, {
+                  line_id: 2,
+                  sku: 'B',
+                  quantity: 1
+                }
+              ]
+            }, {
+              id: 1,
+              customer: 'Ali',
+              lines: [
+                {
+                  line_id: 2,
+                  sku: 'B',
+                  quantity: 3
+                }, {
+                  line_id: 3,
+                  sku: 'C',
+                  quantity: 1
+                }
+              ]
+            }
+          ]
+        ]);
+        return unnest_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                id: 1,
+                customer: 'Ali',
+                line_id: 1,
+                sku: 'A',
+                quantity: 2
+              }
+            ]
+          ], [
+            'update', [
+              [
+                {
+                  id: 1,
+                  customer: 'Ali',
+                  line_id: 2,
+                  sku: 'B',
+                  quantity: 1
+                }, {
+                  id: 1,
+                  customer: 'Ali',
+                  line_id: 2,
+                  sku: 'B',
+                  quantity: 3
+                }
+              ]
+            ]
+          ], [
+            'add', [
+              {
+                id: 1,
+                customer: 'Ali',
+                line_id: 3,
+                sku: 'C',
+                quantity: 1
+              }
+            ]
+          ]
+        ]);
+      });
+      it('should not emit elements which did not change', function() {
+        unnest_emitted = [];
+        orders.update([
+          [
+            {
+              id: 2,
+              customer: 'Bea',
+              lines: []
+            }, {
+              id: 2,
+              customer: 'Bea',
+              lines: []
+            }
+          ]
+        ]);
+        return unnest_emitted.should.be.eql([]);
+      });
+      it('should terminate transactions which last update changes no element', function() {
+        var invoice_lines, invoices;
+        invoices = xs.set([
+          {
+            id: 1,
+            lines: [
+              {
+                line_id: 1,
+                amount: 10
+              }
+            ]
+          }
+        ]);
+        invoice_lines = invoices.unnest('lines', {
+          id: 'line_id'
+        }).order([
+          {
+            id: 'line_id'
+          }
+        ]);
+        invoices.add([
+          {
+            id: 2,
+            lines: [
+              {
+                line_id: 1,
+                amount: 20
+              }
+            ]
+          }
+        ], {
+          more: true
+        });
+        invoices.update([
+          [
+            {
+              id: 1,
+              lines: [
+                {
+                  line_id: 1,
+                  amount: 10
+                }
+              ]
+            }, {
+              id: 1,
+              lines: [
+                {
+                  line_id: 1,
+                  amount: 10
+                }
+              ]
+            }
+          ]
+        ]);
+        invoice_lines.fetch_all().should.be.eql([
+          {
+            id: 1,
+            line_id: 1,
+            amount: 10
+          }, {
+            id: 2,
+            line_id: 1,
+            amount: 20
+          }
+        ]);
+        return (invoice_lines._batched === void 0).should.be["true"];
+      });
+      it('should throw on elements without id attribute with id option', function() {
+        return (function() {
+          return xs.set([
+            {
+              id: 1,
+              lines: [
+                {
+                  line_id: 1
+                }, {
+                  sku: 'A'
+                }
+              ]
+            }
+          ]).unnest('lines', {
+            id: 'line_id'
+          }).fetch_all();
+        }).should["throw"]();
+      });
+      return it('should remove all elements of a removed parent', function() {
+        unnest_emitted = [];
+        orders.remove([
+          {
+            id: 1,
+            customer: 'Ali',
+            lines: [
+              {
+                line_id: 2,
+                sku: 'B',
+                quantity: 3
+              }, {
+                line_id: 3,
+                sku: 'C',
+                quantity: 1
+              }
+            ]
+          }
+        ]);
+        return unnest_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                id: 1,
+                customer: 'Ali',
+                line_id: 2,
+                sku: 'B',
+                quantity: 3
+              }, {
+                id: 1,
+                customer: 'Ali',
+                line_id: 3,
+                sku: 'C',
+                quantity: 1
+              }
+            ]
+          ]
+        ]);
+      });
+    });
+    return describe('except() and intersect():', function() {
+      var buyers, customers, except_emitted, with_orders, without_orders;
+      customers = xs.set([
+        {
+          id: 1,
+          name: 'Ali'
+        }, {
+          id: 2,
+          name: 'Bea'
+        }, {
+          id: 3,
+          name: 'Cyd'
+        }
+      ]);
+      buyers = xs.set([
+        {
+          id: 2
+        }
+      ]);
+      without_orders = customers.except(buyers);
+      with_orders = customers.intersect(buyers);
+      except_emitted = [];
+      without_orders.trace({
+        log: function(trace) {
+          return except_emitted.push([trace.operation, trace.values]);
+        }
+      });
+      it('should hold values of the source which key is not in the other set', function() {
+        return without_orders.fetch_all().should.be.eql([
+          {
+            id: 1,
+            name: 'Ali'
+          }, {
+            id: 3,
+            name: 'Cyd'
+          }
+        ]);
+      });
+      it('should hold values of the source which key is also in the other set', function() {
+        return with_orders.fetch_all().should.be.eql([
+          {
+            id: 2,
+            name: 'Bea'
+          }
+        ]);
+      });
+      it('should remove values when their key is added to the other set', function() {
+        except_emitted = [];
+        buyers.add([
+          {
+            id: 1
+          }
+        ]);
+        except_emitted.should.be.eql([
+          [
+            'remove', [
+              {
+                id: 1,
+                name: 'Ali'
+              }
+            ]
+          ]
+        ]);
+        return with_orders.fetch_all().should.be.eql([
+          {
+            id: 2,
+            name: 'Bea'
+          }, {
+            id: 1,
+            name: 'Ali'
+          }
+        ]);
+      });
+      it('should keep a membership count per key of the other set', function() {
+        buyers.add([
+          {
+            id: 1,
+            order: 2
+          }
+        ]);
+        buyers.remove([
+          {
+            id: 1
+          }
+        ]);
+        without_orders.fetch_all().should.be.eql([
+          {
+            id: 3,
+            name: 'Cyd'
+          }
+        ]);
+        buyers.remove([
+          {
+            id: 1,
+            order: 2
+          }
+        ]);
+        without_orders.fetch_all().should.be.eql([
+          {
+            id: 3,
+            name: 'Cyd'
+          }, {
+            id: 1,
+            name: 'Ali'
+          }
+        ]);
+        return with_orders.fetch_all().should.be.eql([
+          {
+            id: 2,
+            name: 'Bea'
+          }
+        ]);
+      });
+      it('should emit updates of member values of the source', function() {
+        except_emitted = [];
+        customers.update([
+          [
+            {
+              id: 3,
+              name: 'Cyd'
+            }, {
+              id: 3,
+              name: 'Cyril'
+            }
+          ]
+        ]);
+        return except_emitted.should.be.eql([
+          [
+            'update', [
+              [
+                {
+                  id: 3,
+                  name: 'Cyd'
+                }, {
+                  id: 3,
+                  name: 'Cyril'
+                }
+              ]
+            ]
+          ]
+        ]);
+      });
+      it('should add and remove values of the source', function() {
+        customers.add([
+          {
+            id: 4,
+            name: 'Dan'
+          }, {
+            id: 5,
+            name: 'Eve'
+          }
+        ]);
+        buyers.add([
+          {
+            id: 5
+          }
+        ]);
+        customers.remove([
+          {
+            id: 1,
+            name: 'Ali'
+          }
+        ]);
+        without_orders.fetch_all().should.be.eql([
+          {
+            id: 3,
+            name: 'Cyril'
+          }, {
+            id: 4,
+            name: 'Dan'
+          }
+        ]);
+        return with_orders.fetch_all().should.be.eql([
+          {
+            id: 2,
+            name: 'Bea'
+          }, {
+            id: 5,
+            name: 'Eve'
+          }
+        ]);
+      });
+      it('should add all source values back when the other set is cleared', function() {
+        buyers.clear();
+        without_orders.fetch_all().should.be.eql([
+          {
+            id: 3,
+            name: 'Cyril'
+          }, {
+            id: 4,
+            name: 'Dan'
+          }, {
+            id: 2,
+            name: 'Bea'
+          }, {
+            id: 5,
+            name: 'Eve'
+          }
+        ]);
+        return with_orders.fetch_all().should.be.eql([]);
+      });
+      return it('should terminate transactions which last operation emits no change', function() {
+        var left, ordered_except, right;
+        left = xs.set([]);
+        right = xs.set([
+          {
+            id: 5
+          }
+        ]);
+        ordered_except = left.except(right).order([
+          {
+            id: 'id'
+          }
+        ]);
+        left.add([
+          {
+            id: 1
+          }
+        ], {
+          more: true
+        });
+        left.add([
+          {
+            id: 5
+          }
+        ]);
+        return ordered_except.fetch_all().should.be.eql([
+          {
+            id: 1
+          }
+        ]);
+      });
+    });
   });
 
 }).call(this);